@@ -0,0 +1,60 @@
+import puppeteer from 'puppeteer-core';
+
+/**
+ * @typedef BrowserConfig
+ * @property {string} [executablePath] Path to a local Chrome or Chromium. Default is the `CHROME_PATH` environment variable.
+ * @property {boolean|'new'} [headless] Headless mode passed to puppeteer. Default is 'new'.
+ * @property {string[]} [args] Extra command line arguments for the browser.
+ * @property {number} [timeout] Milliseconds navigation and waiting for elements may take. Default is 5000.
+ * @property {string} [screenshotDir] Where screenshots of failed browser assertions are saved. Default is a `screenshots` directory inside `reportDir`. No screenshots are saved without either.
+ */
+
+/** @type {Promise<import('puppeteer-core').Browser>|null} */
+let launching = null;
+
+/**
+ * Launches the browser shared by every submission in the run, or
+ * returns it if it's already running. Each submission should use a
+ * browser context of its own.
+ * @param {BrowserConfig} [config] Browser configuration
+ * @returns {Promise<import('puppeteer-core').Browser>}
+ */
+export const getBrowser = (config = {}) => {
+  if (launching) return launching;
+  const executablePath = config.executablePath || process.env.CHROME_PATH;
+  const promise = (async () => {
+    if (!executablePath)
+      throw new Error('Browser helpers require browser.executablePath or the CHROME_PATH environment variable.');
+    let browser;
+    try {
+      browser = await puppeteer.launch({
+        executablePath,
+        headless: config.headless ?? 'new',
+        args: config.args || []
+      });
+    } catch (e) {
+      throw new Error(`Couldn't launch the browser at '${executablePath}': ${e.message}`);
+    }
+    // A crashed browser is relaunched for the next submission
+    browser.once('disconnected', () => {
+      if (launching === promise) launching = null;
+    });
+    return browser;
+  })();
+  promise.catch(() => {
+    if (launching === promise) launching = null;
+  });
+  launching = promise;
+  return promise;
+};
+
+/**
+ * Closes the shared browser, if it was launched.
+ * @returns {Promise<void>}
+ */
+export const closeBrowser = async () => {
+  const current = launching;
+  launching = null;
+  const browser = await current?.catch(() => null);
+  await browser?.close();
+};
@@ -0,0 +1,112 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { format } from 'util';
+
+export const CONSOLE_METHODS = ['log', 'info', 'debug', 'warn', 'error'];
+const STDERR_METHODS = ['warn', 'error'];
+// Characters of captured output kept for the report
+const MAX_OUTPUT = 20000;
+
+/**
+ * The console methods as they were before capturing, for grader output
+ * that must never be captured.
+ * @type {Pick<Console, 'log' | 'info' | 'debug' | 'warn' | 'error'>}
+ */
+export const rawConsole = Object.fromEntries(CONSOLE_METHODS.map(method => [method, console[method].bind(console)]));
+
+/**
+ * Stream a console method writes to.
+ * @param {string} method Console method
+ * @returns {'stdout'|'stderr'}
+ */
+export const streamOf = method => STDERR_METHODS.includes(method) ? 'stderr' : 'stdout';
+
+const storage = new AsyncLocalStorage();
+let installed = false;
+
+/**
+ * Replaces the console methods with ones that write to the capture of
+ * the code calling them, if it runs inside `OutputCapture#run`.
+ */
+const install = () => {
+  if (installed) return;
+  installed = true;
+  for (const method of CONSOLE_METHODS) {
+    console[method] = (...args) => {
+      const capture = storage.getStore();
+      if (capture) capture.write(streamOf(method), format(...args));
+      else rawConsole[method](...args);
+    };
+  }
+};
+
+/**
+ * Console output of a submission, or of a single test case.
+ */
+export default class OutputCapture {
+  /**
+   * @param {object} [options]
+   * @param {OutputCapture} [options.parent] Capture that receives everything written to this one too
+   * @param {(stream: 'stdout'|'stderr', text: string) => void} [options.echo] Also passes output on, e.g. to print it
+   */
+  constructor({ parent = null, echo = null } = {}) {
+    this.parent = parent;
+    this.echo = echo;
+    /** @type {{ stream: 'stdout'|'stderr', text: string }[]} */
+    this.entries = [];
+    this.length = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Records the output of one console call.
+   * @param {'stdout'|'stderr'} stream Stream written to
+   * @param {string} text Formatted output, without the trailing newline
+   */
+  write(stream, text) {
+    if (this.length < MAX_OUTPUT) {
+      this.entries.push({ stream, text });
+      this.length += text.length + 1;
+    } else {
+      this.dropped += text.length + 1;
+    }
+    this.parent?.write(stream, text);
+    this.echo?.(stream, text);
+  }
+
+  /**
+   * Every line written, from both streams.
+   * @returns {string[]}
+   */
+  get lines() {
+    return this.entries.flatMap(({ text }) => text.split('\n'));
+  }
+
+  /**
+   * Everything written, cut off after a while.
+   * @returns {string}
+   */
+  get text() {
+    return this.entries.map(({ text }) => text).join('\n')
+      + (this.dropped ? `\n... (${this.dropped} more characters)` : '');
+  }
+
+  /**
+   * Runs a function with the console output of everything it starts,
+   * including timers and promises, written to this capture.
+   * @template T
+   * @param {() => T} fn Function to run
+   * @returns {T}
+   */
+  run(fn) {
+    install();
+    return storage.run(this, fn);
+  }
+
+  /**
+   * The capture of the code currently running, if any.
+   * @returns {OutputCapture|undefined}
+   */
+  static current() {
+    return storage.getStore();
+  }
+};
@@ -0,0 +1,245 @@
+import fs from 'fs/promises';
+import { keyPath } from './Matchers.js';
+
+/**
+ * @typedef FeedbackConfig
+ * @property {'text'|'markdown'|'html'} [format] Format of the comments. Default is 'text'.
+ * @property {string|((context: FeedbackContext) => string)} [template] Template with `{{placeholder}}`s, or a function building the comments.
+ *   Placeholders are `score`, `totalPoints`, `student`, `submission`, `summary` (score of every section), `sections` (results grouped by section) and `notes`.
+ * @property {string} [templateFile] File to read the template from, instead of `template`.
+ * @property {number} [maxDumpLength] Characters of a `Received` or `Expected` value, or of any other error, shown before it's cut off. Default is 1000.
+ * @property {number} [maxDifferences] Most differing paths listed when a value is cut off. Default is 10.
+ */
+
+/**
+ * Values available to a template, already rendered in the chosen format
+ * @typedef FeedbackContext
+ * @property {string} score Final score
+ * @property {string} totalPoints Points the assignment is worth
+ * @property {string} student Author of the submission
+ * @property {string} submission File name of the submission
+ * @property {string} summary Score of every section
+ * @property {string} sections Results grouped by section, with each section's score
+ * @property {string} notes Comments that don't affect the score
+ * @property {import('./Rubric.js').RubricResult[]} results Every result, unrendered
+ */
+
+const TEMPLATES = {
+  text: 'Score: {{score}}/{{totalPoints}}\n\n{{sections}}\n\n{{notes}}',
+  markdown: '**Score: {{score}}/{{totalPoints}}**\n\n{{summary}}\n\n{{sections}}\n\n{{notes}}',
+  html: '<p><strong>Score: {{score}}/{{totalPoints}}</strong></p>\n{{summary}}\n{{sections}}\n{{notes}}'
+};
+
+export const FEEDBACK_EXTENSIONS = { text: 'txt', markdown: 'md', html: 'html' };
+
+const escapeHtml = text => String(text)
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;');
+
+/**
+ * Wraps text in a Markdown code block whose fence can't appear in the text.
+ * @param {string} text Code block contents
+ * @returns {string}
+ */
+const codeBlock = (text) => {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}\n${text}\n${fence}`;
+};
+
+/**
+ * Cuts text off after a number of characters.
+ * @param {string} text Text to shorten
+ * @param {number} max Characters to keep
+ * @returns {string}
+ */
+const truncate = (text, max) => text.length <= max
+  ? text
+  : `${text.slice(0, max)}\n... (${text.length - max} more characters)`;
+
+const parseDump = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const short = value => truncate(JSON.stringify(value) ?? 'undefined', 80).split('\n')[0];
+
+/**
+ * Lists the paths at which two JSON values differ.
+ * @param {*} received Value that was received
+ * @param {*} expected Value that was expected
+ * @param {string} [path] Path of the values
+ * @returns {string[]} One description per difference
+ */
+export const differences = (received, expected, path = '') => {
+  const where = path || '(value)';
+  if (Array.isArray(received) && Array.isArray(expected)) {
+    const found = [];
+    for (let i = 0; i < Math.max(received.length, expected.length); i++) {
+      if (i >= received.length) found.push(`${path}[${i}]: missing, expected ${short(expected[i])}`);
+      else if (i >= expected.length) found.push(`${path}[${i}]: unexpected ${short(received[i])}`);
+      else found.push(...differences(received[i], expected[i], `${path}[${i}]`));
+    }
+    return found;
+  }
+  if (isObject(received) && isObject(expected)) {
+    const found = [];
+    const keys = new Set([...Object.keys(expected), ...Object.keys(received)]);
+    for (const key of keys) {
+      const child = keyPath(path, key);
+      if (!(key in received)) found.push(`${child}: missing, expected ${short(expected[key])}`);
+      else if (!(key in expected)) found.push(`${child}: unexpected ${short(received[key])}`);
+      else found.push(...differences(received[key], expected[key], child));
+    }
+    return found;
+  }
+  if (JSON.stringify(received) === JSON.stringify(expected)) return [];
+  return [`${where}: received ${short(received)}, expected ${short(expected)}`];
+};
+
+/**
+ * The error of a result, with huge values cut off. When a compared value
+ * is cut off, the paths that differ are listed instead.
+ * @param {import('./Rubric.js').RubricResult} result Result to describe
+ * @param {FeedbackConfig} config Feedback configuration
+ * @returns {string}
+ */
+const shortenError = (result, config) => {
+  const max = config.maxDumpLength ?? 1000;
+  const error = result.error || '';
+  const comparison = result.comparison;
+  if (!comparison) return truncate(error, max);
+  const dump = `Received: ${comparison.received}\nExpected: ${comparison.expected}`;
+  if (!error.includes(dump)
+    || (comparison.received.length <= max && comparison.expected.length <= max))
+    return error;
+  const lines = [
+    `Received: ${truncate(comparison.received, max)}`,
+    `Expected: ${truncate(comparison.expected, max)}`
+  ];
+  // The grader already listed the differences, which may involve matchers
+  if (comparison.differences) return error.replace(dump, () => lines.join('\n'));
+  const found = differences(parseDump(comparison.received), parseDump(comparison.expected));
+  const limit = config.maxDifferences ?? 10;
+  lines.push('Differences:', ...found.slice(0, limit).map(difference => `- ${difference}`));
+  if (found.length > limit)
+    lines.push(`...and ${found.length - limit} more.`);
+  return error.replace(dump, () => lines.join('\n'));
+};
+
+/**
+ * Renders one result in the chosen format.
+ * @param {import('./Rubric.js').RubricResult} result Deduction or bonus
+ * @param {'text'|'markdown'|'html'} format Output format
+ * @param {FeedbackConfig} config Feedback configuration
+ * @returns {string}
+ */
+const renderResult = (result, format, config) => {
+  const points = `${result.kind === 'bonus' ? '+' : '-'}${result.points}`;
+  const [title, ...rest] = result.reason.split('\n');
+  const details = [...rest, shortenError(result, config)].filter(Boolean).join('\n');
+  if (format === 'markdown') {
+    const block = details ? '\n\n' + codeBlock(details).replace(/^/gm, '  ') : '';
+    return `- **${points}** ${title}${block}`;
+  }
+  if (format === 'html') {
+    const block = details ? `<pre>${escapeHtml(details)}</pre>` : '';
+    return `<li><strong>${points}</strong> ${escapeHtml(title)}${block}</li>`;
+  }
+  return `${points}; ${result.reason}` + (result.error ? '\n' + shortenError(result, config) : '');
+};
+
+/**
+ * Renders a rubric's results for the student.
+ * @param {import('./Rubric.js').default} rubric Rubric with every result recorded
+ * @param {FeedbackConfig} [config] Feedback configuration
+ * @param {{ student?: string, submission?: string }} [info] Submission being graded
+ * @returns {string}
+ */
+export const renderFeedback = (rubric, config = {}, info = {}) => {
+  const format = config.format || 'text';
+  if (!TEMPLATES[format])
+    throw new Error(`Unknown feedback format '${format}'.`);
+  const scored = rubric.results.filter(result => result.kind !== 'note');
+  const groups = [{ section: null, results: scored.filter(result => result.section === null) }];
+  for (const { section, earned } of rubric.sectionScores()) {
+    const results = scored.filter(result => result.section === section.id);
+    if (results.length || Number.isFinite(section.points))
+      groups.push({ section, earned, results });
+  }
+  const heading = ({ section, earned, results }) => {
+    if (Number.isFinite(section.points)) return `${section.title}: ${earned}/${section.points}`;
+    const net = results.reduce((sum, r) => sum + (r.kind === 'bonus' ? r.points : -r.points), 0);
+    return `${section.title}: ${net > 0 ? '+' : ''}${net}`;
+  };
+
+  const blocks = groups.filter(group => group.section || group.results.length).map(group => {
+    const items = group.results.map(result => renderResult(result, format, config));
+    if (format === 'markdown')
+      return [group.section && `### ${heading(group)}`, ...items].filter(Boolean).join('\n');
+    if (format === 'html') {
+      const title = group.section ? `<h3>${escapeHtml(heading(group))}</h3>\n` : '';
+      return title + (items.length ? `<ul>\n${items.join('\n')}\n</ul>` : '');
+    }
+    return [group.section && heading(group), ...items].filter(Boolean).join('\n');
+  });
+
+  const finite = rubric.sectionScores().filter(({ section }) => Number.isFinite(section.points));
+  const summaryLines = finite.map(({ section, earned }) => `${section.title}: ${earned}/${section.points}`);
+  const notes = rubric.results.filter(result => result.kind === 'note').map(result => result.reason);
+  let summary, noteText;
+  if (format === 'markdown') {
+    summary = summaryLines.length
+      ? `| Section | Score |\n| --- | --- |\n${finite.map(({ section, earned }) =>
+        `| ${section.title.replaceAll('|', '\\|')} | ${earned}/${section.points} |`).join('\n')}`
+      : '';
+    noteText = notes.join('\n\n');
+  } else if (format === 'html') {
+    summary = summaryLines.length
+      ? `<ul>\n${summaryLines.map(line => `<li>${escapeHtml(line)}</li>`).join('\n')}\n</ul>`
+      : '';
+    noteText = notes.map(note => `<p>${escapeHtml(note)}</p>`).join('\n');
+  } else {
+    summary = summaryLines.join('\n');
+    noteText = notes.join('\n');
+  }
+
+  const escape = format === 'html' ? escapeHtml : String;
+  const context = {
+    score: escape(rubric.score),
+    totalPoints: escape(rubric.totalPoints),
+    student: escape(info.student || ''),
+    submission: escape(info.submission || ''),
+    summary,
+    sections: blocks.join('\n\n'),
+    notes: noteText,
+    results: rubric.results
+  };
+  const template = config.template || TEMPLATES[format];
+  const output = typeof template === 'function'
+    ? template(context)
+    : template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      typeof context[name] === 'string' ? context[name] : match);
+  return output.replace(/\n{3,}/g, '\n\n').trim();
+};
+
+/**
+ * Reads the template file referenced by a feedback configuration.
+ * @param {FeedbackConfig} [config] Feedback configuration
+ * @returns {Promise<FeedbackConfig|undefined>} Configuration with the template loaded
+ */
+export const loadFeedback = async (config) => {
+  if (!config?.templateFile) return config;
+  try {
+    return { ...config, template: await fs.readFile(config.templateFile, { encoding: 'utf8' }) };
+  } catch {
+    throw new Error(`Couldn't read feedback template '${config.templateFile}'.`);
+  }
+};
@@ -0,0 +1,258 @@
+/**
+ * A generated value and the simpler values it can shrink to
+ * @template T
+ * @typedef Shrinkable
+ * @property {T} value Generated value
+ * @property {() => Iterable<Shrinkable<T>>} shrink Simpler candidates, simplest first
+ */
+
+/**
+ * Produces random values for `assertMatchesReference`.
+ * @template T
+ * @typedef Generator
+ * @property {(random: Random, size: number) => Shrinkable<T>} generate Generates a value. `size` grows
+ *   from 1 over the runs and caps the length of strings and arrays.
+ */
+
+/**
+ * @typedef Random
+ * @property {() => number} next Number between 0 (inclusive) and 1 (exclusive)
+ * @property {(min: number, max: number) => number} int Integer between `min` and `max`, inclusive
+ */
+
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
+
+/**
+ * Seeded random number generator (mulberry32), so every run of the
+ * grader generates the same inputs.
+ * @param {string|number} seed Seed
+ * @returns {Random}
+ */
+export const createRandom = (seed) => {
+  // FNV-1a hash of the seed
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state ^= char.codePointAt(0);
+    state = Math.imul(state, 16777619);
+  }
+  const next = () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return { next, int: (min, max) => min + Math.floor(next() * (max - min + 1)) };
+};
+
+const leaf = value => ({ value, shrink: () => [] });
+
+const mapShrinkable = (tree, fn) => ({
+  value: fn(tree.value),
+  *shrink() {
+    for (const child of tree.shrink()) yield mapShrinkable(child, fn);
+  }
+});
+
+const integerTree = (value, target) => ({
+  value,
+  *shrink() {
+    if (value === target) return;
+    yield integerTree(target, target);
+    for (let d = Math.trunc((value - target) / 2); d !== 0; d = Math.trunc(d / 2))
+      yield integerTree(value - d, target);
+  }
+});
+
+const numberTree = (value, target) => ({
+  value,
+  *shrink() {
+    if (value === target) return;
+    yield numberTree(target, target);
+    if (Math.trunc(value) !== value) yield numberTree(Math.trunc(value), target);
+    let d = (value - target) / 2;
+    for (let i = 0; i < 8 && d !== 0; i++, d /= 2)
+      yield numberTree(value - d, target);
+  }
+});
+
+/**
+ * Shrinks a list by removing elements, then by shrinking each element.
+ * @param {Shrinkable[]} trees Elements
+ * @param {number} minLength Shortest the list may get
+ */
+const listTree = (trees, minLength) => ({
+  value: trees.map(tree => tree.value),
+  *shrink() {
+    const half = Math.floor(trees.length / 2);
+    if (half > 0 && trees.length - half >= minLength)
+      yield listTree(trees.slice(half), minLength);
+    if (trees.length > minLength) {
+      for (let i = 0; i < trees.length; i++)
+        yield listTree([...trees.slice(0, i), ...trees.slice(i + 1)], minLength);
+    }
+    for (let i = 0; i < trees.length; i++) {
+      for (const child of trees[i].shrink())
+        yield listTree([...trees.slice(0, i), child, ...trees.slice(i + 1)], minLength);
+    }
+  }
+});
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Integers between `min` and `max`, inclusive. Shrinks toward 0.
+ * @param {{ min?: number, max?: number }} [options] Range, default is -1000 to 1000
+ * @returns {Generator<number>}
+ */
+export const integer = ({ min = -1000, max = 1000 } = {}) => ({
+  generate: random => integerTree(random.int(min, max), clamp(0, min, max))
+});
+
+/**
+ * Floating point numbers between `min` and `max`. Shrinks toward 0 and whole numbers.
+ * @param {{ min?: number, max?: number }} [options] Range, default is -1000 to 1000
+ * @returns {Generator<number>}
+ */
+export const number = ({ min = -1000, max = 1000 } = {}) => ({
+  generate: random => numberTree(min + random.next() * (max - min), clamp(0, min, max))
+});
+
+/**
+ * @returns {Generator<boolean>}
+ */
+export const boolean = () => ({
+  generate: random => random.next() < 0.5
+    ? leaf(false)
+    : { value: true, shrink: () => [leaf(false)] }
+});
+
+/**
+ * Always the same value.
+ * @template T
+ * @param {T} value Value to generate
+ * @returns {Generator<T>}
+ */
+export const constant = value => ({ generate: () => leaf(value) });
+
+/**
+ * One of a list of values. Shrinks toward the first.
+ * @template T
+ * @param {T[]} values Values to choose from
+ * @returns {Generator<T>}
+ */
+export const elements = (values) => ({
+  generate: random => mapShrinkable(
+    integer({ min: 0, max: values.length - 1 }).generate(random),
+    i => values[i]
+  )
+});
+
+/**
+ * Values from one of several generators, chosen at random.
+ * @param {...Generator} generators Generators to choose from
+ * @returns {Generator}
+ */
+export const oneOf = (...generators) => ({
+  generate: (random, size) => generators[random.int(0, generators.length - 1)].generate(random, size)
+});
+
+/**
+ * Transforms generated values. Shrinking happens before the transformation.
+ * @template T, U
+ * @param {Generator<T>} generator Generator to transform
+ * @param {(value: T) => U} fn Transformation
+ * @returns {Generator<U>}
+ */
+export const map = (generator, fn) => ({
+  generate: (random, size) => mapShrinkable(generator.generate(random, size), fn)
+});
+
+/**
+ * Arrays of values from a generator. Shrinks toward fewer and simpler elements.
+ * @template T
+ * @param {Generator<T>} generator Generator of the elements
+ * @param {{ minLength?: number, maxLength?: number }} [options] Length, default is 0 to 10
+ * @returns {Generator<T[]>}
+ */
+export const array = (generator, { minLength = 0, maxLength = 10 } = {}) => ({
+  generate: (random, size = maxLength) => {
+    const length = random.int(minLength, Math.max(minLength, Math.min(maxLength, size)));
+    const trees = Array.from({ length }, () => generator.generate(random, size));
+    return listTree(trees, minLength);
+  }
+});
+
+/**
+ * Strings made of the given characters. Shrinks toward shorter strings
+ * of the first character.
+ * @param {{ minLength?: number, maxLength?: number, chars?: string }} [options]
+ *   Length, default is 0 to 20, and characters, default is letters, digits and space
+ * @returns {Generator<string>}
+ */
+export const string = ({ minLength = 0, maxLength = 20, chars = ALPHANUMERIC } = {}) =>
+  map(array(elements([...chars]), { minLength, maxLength }), list => list.join(''));
+
+/**
+ * Arrays with one value from each generator, such as the arguments of a function.
+ * @param {...Generator} generators Generator of each element
+ * @returns {Generator<any[]>}
+ */
+export const tuple = (...generators) => ({
+  generate: (random, size) => listTree(
+    generators.map(generator => generator.generate(random, size)),
+    generators.length
+  )
+});
+
+/**
+ * Objects with a value from each generator under its key.
+ * @param {Object<string, Generator>} shape Generator of each property
+ * @returns {Generator<object>}
+ */
+export const object = (shape) => {
+  const keys = Object.keys(shape);
+  return map(tuple(...keys.map(key => shape[key])),
+    values => Object.fromEntries(keys.map((key, i) => [key, values[i]])));
+};
+
+/**
+ * JSON-like values: strings, numbers, booleans, null, and arrays and
+ * objects nesting them.
+ * @param {{ maxDepth?: number }} [options] Levels of nesting, default is 3
+ * @returns {Generator}
+ */
+export const json = ({ maxDepth = 3 } = {}) => {
+  const scalar = oneOf(
+    integer(),
+    number(),
+    string({ maxLength: 10 }),
+    boolean(),
+    constant(null)
+  );
+  if (maxDepth <= 0) return scalar;
+  const nested = json({ maxDepth: maxDepth - 1 });
+  const entries = array(tuple(string({ minLength: 1, maxLength: 8, chars: 'abcdefghij' }), nested),
+    { maxLength: 5 });
+  return oneOf(
+    scalar,
+    scalar,
+    array(nested, { maxLength: 5 }),
+    map(entries, list => Object.fromEntries(list))
+  );
+};
+
+const INVALID_VALUES = [
+  undefined, null, NaN, Infinity, -1, 0, 1.5, '', '   ', 'abc', true, false,
+  [], [1, 2], {}, { a: 1 }
+];
+
+const typeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+/**
+ * Values of the wrong type, for checking input validation. Values whose
+ * type is one of `allowed` (`'string'`, `'number'`, `'array'`, `'object'`,
+ * ...) are left out.
+ * @param {...string} allowed Types the function accepts
+ * @returns {Generator}
+ */
+export const invalid = (...allowed) => elements(INVALID_VALUES.filter(value => !allowed.includes(typeOf(value))));
@@ -1,23 +1,144 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { spawn, execSync } from 'child_process';
-import { deepStrictEqual } from 'assert';
+import net from 'net';
+import { spawn } from 'child_process';
 import { pathToFileURL } from 'url';
-import { MongoClient, ObjectId } from 'mongodb';
-import { FatalGraderError } from './Utils.js';
-import { HTTPRequest, HTTPResponse, Page,  } from 'puppeteer-core';
+import { inspect } from 'util';
+import { MongoClient, ObjectId, BSON } from 'mongodb';
+import { FatalGraderError, TimeoutError, withTimeout, sleep, killProcessTree } from './Utils.js';
+import Sandbox from './Sandbox.js';
+import Rubric from './Rubric.js';
+import { createValidator } from './HtmlValidators.js';
+import { latePenalty } from './LatePolicy.js';
+import { renderFeedback } from './Feedback.js';
+import { createRandom } from './Generators.js';
+import { compare, Matcher, matching } from './Matchers.js';
+import HttpAgent from './HttpAgent.js';
+import OutputCapture, { rawConsole } from './ConsoleCapture.js';
+import { parseStartScript } from './StartScript.js';
+import { processGroupUsage } from './ResourceUsage.js';
+import { packageViolations, installDependencies } from './PackagePolicy.js';
+import { getBrowser } from './Browser.js';
+import {
+  parseFile, findGlobals, findModules, findMembers, findFunction, findExport,
+  findRouteHandlers, callsAny
+} from './StaticAnalysis.js';
+import { glob } from 'glob';
+import { HTTPRequest, HTTPResponse, Page, ElementHandle } from 'puppeteer-core';
 
 /**
  * HTTP request verb
  * @typedef {'GET'|'POST'|'PATCH'|'PUT'|'DELETE'} Verb
  */
 
-export const stringify = (obj, spacing = undefined) => JSON.stringify(obj, (_, value) => {
-  if (value instanceof ObjectId)
-    return { oid: value.toString() };
+/**
+ * @typedef {import('./HttpAgent.js').AgentRequestOptions & { agent?: HttpAgent }} RequestOptions
+ */
+
+export const stringify = (obj, spacing = undefined) => JSON.stringify(obj, function (key, value) {
+  // ObjectId#toJSON has already turned the value into a string,
+  // the original is still available on the holder object
+  if (this[key] instanceof ObjectId)
+    return { oid: this[key].toString() };
   return value;
 }, spacing);
+/**
+ * Parses JSON produced by `stringify`, reviving `{ oid }` objects
+ * back into ObjectIds.
+ * @param {string} text JSON text
+ * @returns {*}
+ */
+export const parse = (text) => JSON.parse(text, (_, value) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)
+    && Object.keys(value).length === 1 && typeof value.oid === 'string'
+    && ObjectId.isValid(value.oid))
+    return new ObjectId(value.oid);
+  return value;
+});
 const pretty = data => stringify(data, 2);
+// Arguments may be undefined, NaN or functions, which JSON can't show
+const showArgs = args => inspect(args, { depth: 6, breakLength: Infinity }).slice(1, -1).trim();
+/**
+ * Copies arguments so neither implementation sees the other's mutations.
+ */
+const cloneArgs = (args) => {
+  try {
+    return structuredClone(args);
+  } catch {
+    return args;
+  }
+};
+const isPlainObject = value => value !== null && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+/**
+ * Revives fixture data, accepting both MongoDB Extended JSON
+ * (`{ $oid }`, `{ $date }`) and the `{ oid }` notation of `stringify`.
+ */
+const reviveFixture = (data) => {
+  const walk = (value) => {
+    if (Array.isArray(value)) return value.map(walk);
+    if (!isPlainObject(value)) return value;
+    const keys = Object.keys(value);
+    if (keys.length === 1 && typeof value.oid === 'string' && ObjectId.isValid(value.oid))
+      return new ObjectId(value.oid);
+    return Object.fromEntries(keys.map(key => [key, walk(value[key])]));
+  };
+  return walk(BSON.EJSON.deserialize(data, { relaxed: true }));
+};
+/**
+ * Removes keys from objects at any depth.
+ */
+const withoutKeys = (value, keys) => {
+  if (Array.isArray(value)) return value.map(item => withoutKeys(item, keys));
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !keys.includes(key))
+    .map(([key, item]) => [key, withoutKeys(item, keys)]));
+};
+// Differing paths quoted in a comment
+const MAX_DIFFERENCES = 10;
+/**
+ * Quotes the paths at which compared values differ, when the received
+ * value is an object or array and the dump alone doesn't make it clear.
+ */
+const listDifferences = (actual, found) => {
+  if (actual === null || typeof actual !== 'object') return '';
+  const quoted = found.slice(0, MAX_DIFFERENCES).map(difference => `\n- ${difference}`);
+  if (found.length > MAX_DIFFERENCES)
+    quoted.push(`\n...and ${found.length - MAX_DIFFERENCES} more.`);
+  return `\nDifferences:${quoted.join('')}`;
+};
+// Characters of server output kept for quoting in comments
+const MAX_SERVER_OUTPUT = 20000;
+
+/**
+ * Checks whether anything accepts connections on a port.
+ * @param {number} port Port to connect to
+ * @returns {Promise<boolean>}
+ */
+const portOpen = port => new Promise(resolve => {
+  const socket = net.connect(port, 'localhost');
+  socket.once('connect', () => {
+    socket.destroy();
+    resolve(true);
+  });
+  socket.once('error', () => resolve(false));
+});
+
+/**
+ * Path and query of the page's current URL, for comments.
+ * @param {Page} page Puppeteer page
+ * @returns {string}
+ */
+const pagePath = (page) => {
+  try {
+    const url = new URL(page.url());
+    return url.pathname + url.search;
+  } catch {
+    return page.url();
+  }
+};
+const normalizeText = text => text.replace(/\s+/g, ' ').trim();
 const uid = (() => {
   let id = 0;
   return () => id++;
@@ -35,9 +156,51 @@ export default class Grader {
     this.defaultStartScript = assignmentConfig.startScript || 'node app.js';
     this.runStartScript = assignmentConfig.runStartScript;
     this.checkPackage = assignmentConfig.checkPackage ?? true;
+    this.packagePolicy = assignmentConfig.packagePolicy || {};
     this.hasDatabase = assignmentConfig.hasDatabase;
     this.connectionString = assignmentConfig.connectionString
       || 'mongodb://localhost:27017/';
+    this.fixturesDir = path.resolve(assignmentConfig.fixturesDir || '.');
+    this.testCaseTimeout = assignmentConfig.testCaseTimeout ?? 10000;
+    this.submissionTimeout = assignmentConfig.submissionTimeout ?? 0;
+    this.randomSeed = assignmentConfig.randomSeed ?? 'cs-546-grader';
+    this.agents = new Map();
+    this.resourceLimits = assignmentConfig.resourceLimits || {};
+    this.sandbox = assignmentConfig.isolate
+      ? new Sandbox(this.resourceLimits.memory
+        ? { maxOldGenerationSizeMb: this.resourceLimits.memory }
+        : undefined)
+      : null;
+    this.concurrent = (assignmentConfig.concurrency || 1) > 1;
+    this.port = assignmentConfig.port ?? 3000;
+    this.healthCheck = assignmentConfig.healthCheck || null;
+    this.startTimeout = assignmentConfig.startTimeout ?? 10000;
+    this.logger = rawConsole;
+    this.consoleOutput = assignmentConfig.consoleOutput || 'print';
+    if (!['print', 'hide', 'report'].includes(this.consoleOutput))
+      throw new Error(`Unknown consoleOutput '${this.consoleOutput}'.`);
+    // Printed through the logger so concurrent submissions don't interleave
+    this.output = new OutputCapture({
+      echo: this.consoleOutput === 'print'
+        ? (stream, text) => this.logger[stream === 'stderr' ? 'error' : 'log'](text)
+        : null
+    });
+    if (this.sandbox) this.sandbox.capture = this.output;
+    this.latePolicy = assignmentConfig.latePolicy;
+    this.feedbackConfig = assignmentConfig.feedback;
+    this.snapshotEntries = assignmentConfig.snapshot?.entries || null;
+    this.recordedEntries = null;
+    this.submission = null;
+    this.htmlValidation = assignmentConfig.htmlValidation || {};
+    this.htmlValidator = createValidator(this.htmlValidation);
+    this.browserConfig = assignmentConfig.browser || {};
+    this.browserContext = null;
+    this.screenshotDir = this.browserConfig.screenshotDir || assignmentConfig.reportDir
+      ? path.resolve(this.browserConfig.screenshotDir
+        || path.join(assignmentConfig.reportDir, 'screenshots'))
+      : null;
+    this.screenshots = [];
+    this.reviewFlags = [];
     this.packageJson = null;
     this.hadModules = false;
     this.directory = 'current_submission';
@@ -46,22 +209,186 @@ export default class Grader {
     this.startScript = null;
     this.subprocess = null;
     this.subprocessClosed = true;
+    this.serverOutput = '';
+    this.serverExit = null;
+    this.serverExitQuoted = false;
+    this.resourceLimitExceeded = null;
+    this.resourceMonitor = null;
     this.db = null;
-    this.score = 100;
-    this.comments = [];
+    this.rubric = new Rubric(
+      assignmentConfig.totalPoints ?? 100,
+      assignmentConfig.maxBonus ?? Infinity
+    );
+    this.currentSection = null;
+    this.currentTestCase = null;
+    this.timedOut = false;
     this.uid = uid();
   }
 
   /**
-   * Deduct points from the student's grade.
+   * The student's current grade.
+   * @returns {number}
+   */
+  get score() {
+    return this.rubric.score;
+  }
+
+  /**
+   * Comment lines rendered from the rubric results.
+   * @returns {string[]}
+   */
+  get comments() {
+    return this.rubric.render();
+  }
+
+  /**
+   * Comments for the student, rendered with the `feedback` configuration
+   * if the assignment has one.
+   * @returns {string}
+   */
+  feedback() {
+    if (!this.feedbackConfig) return this.comments.join('\n');
+    return renderFeedback(this.rubric, this.feedbackConfig, {
+      student: this.author,
+      submission: this.submission?.name
+    });
+  }
+
+  /**
+   * Every deduction recorded so far.
+   * @returns {import('./Rubric.js').RubricResult[]}
+   */
+  get deductions() {
+    return this.rubric.deductions;
+  }
+
+  /**
+   * Base URL of the student server, using the port assigned to this grader.
+   * @returns {string}
+   */
+  get baseUrl() {
+    return `http://localhost:${this.port}`;
+  }
+
+  /**
+   * Deduct points from the student's grade. The deduction is recorded
+   * in the current section and test case, if any.
    * @param {number} points Points to deduct
    * @param {string} reason Reason for deduction
    * @param {string} [error] Associated error message
+   * @param {{ received: *, expected: *, differences?: string[] }} [comparison] Values that didn't
+   *   match, and the paths at which they differ if the error lists them. Lets the feedback list
+   *   only the differences when they are too large to show whole.
+   */
+  deductPoints(points, reason, error, comparison) {
+    // Test cases still running after the submission timed out
+    // must not change the already recorded grade
+    if (this.timedOut) return;
+    // The first deduction after the server crashed explains why
+    if (this.serverExit && !this.serverExitQuoted) {
+      this.serverExitQuoted = true;
+      error = (error ? error.toString() + '\n' : '') + this.serverCrashReport();
+    }
+    this.rubric.deduct(
+      points,
+      reason,
+      error ? error.toString() : undefined,
+      this.currentSection,
+      this.currentTestCase,
+      comparison && {
+        received: String(pretty(comparison.received)),
+        expected: String(pretty(comparison.expected)),
+        ...(comparison.differences && { differences: comparison.differences })
+      }
+    );
+  }
+
+  /**
+   * Award bonus points, up to `maxBonus` in total.
+   * @param {number} points Points to award
+   * @param {string} reason Reason for the bonus
+   */
+  awardBonus(points, reason) {
+    if (this.timedOut) return;
+    this.rubric.bonus(points, reason, this.currentSection);
+  }
+
+  /**
+   * Add a comment that doesn't affect the grade.
+   * @param {string} text Comment text
+   */
+  addComment(text) {
+    this.rubric.note(text);
+  }
+
+  /**
+   * Hold the submission back from upload until an instructor has
+   * reviewed it. Doesn't affect the grade.
+   * @param {string} reason Why the submission needs review
+   */
+  flagForReview(reason) {
+    this.reviewFlags.push(reason);
+  }
+
+  /**
+   * Run test cases as part of a rubric section. Deductions made while
+   * `fn` runs count against the section and can't exceed its points.
+   * @param {string} id Unique ID of the section
+   * @param {{ title?: string, points?: number, resetDatabase?: boolean, seed?: string|Object<string, object[]> }} options
+   *   Section title and point budget. With `resetDatabase`, the database is emptied and
+   *   optionally seeded before the section runs.
+   * @param {() => Promise<void>} fn Test cases belonging to the section
+   */
+  async section(id, options, fn) {
+    this.rubric.addSection(id, options?.title, options?.points);
+    if (options?.resetDatabase)
+      await this.resetDatabase(options.seed);
+    const previous = this.currentSection;
+    this.currentSection = id;
+    try {
+      await fn();
+    } finally {
+      this.currentSection = previous;
+    }
+  }
+
+  /**
+   * Run assertions as a single registered test case in the current
+   * section. Deductions made while `fn` runs can't exceed its points.
+   * @param {string} id Unique ID of the test case
+   * @param {{ title?: string, points?: number }} options Test case title and point value
+   * @param {() => Promise<void>} fn Assertions belonging to the test case
+   */
+  async testCase(id, options, fn) {
+    this.rubric.addTestCase(id, this.currentSection, options?.title, options?.points);
+    const previous = this.currentTestCase;
+    this.currentTestCase = id;
+    try {
+      await fn();
+    } finally {
+      this.currentTestCase = previous;
+    }
+  }
+
+  /**
+   * Runs a test case, rejecting with a `TimeoutError` if it takes
+   * longer than `testCaseTimeout` milliseconds.
+   * @param {(()=>T)} testCase The test case to run
+   * @returns {Promise<T>}
    */
-  deductPoints(points, reason, error) {
-    this.score -= points;
-    if (this.score < 0) this.score = 0;
-    this.comments.push(`-${points}; ${reason}${error ? '\n' + error.toString() : ''}`);
+  async runTestCase(testCase) {
+    try {
+      return await withTimeout(
+        Promise.resolve().then(testCase),
+        this.testCaseTimeout,
+        `Test case did not finish within ${this.testCaseTimeout}ms.`
+      );
+    } catch (e) {
+      // The isolated process may be stuck in a synchronous loop
+      if (e instanceof TimeoutError && this.sandbox)
+        await this.sandbox.terminate();
+      throw e;
+    }
   }
 
   /**
@@ -74,18 +401,22 @@ export default class Grader {
   async assertDeepEquals(points, message, testCase, expectedValue) {
     let actual;
     try {
-      actual = await testCase();
+      actual = await this.runTestCase(testCase);
     } catch (e) {
-      this.deductPoints(points, `${message}; Error thrown on valid input.`, e.toString());
+      if (e instanceof FatalGraderError) throw e;
+      if (e instanceof TimeoutError)
+        this.deductPoints(points, `${message}; Timed out.`, e.message);
+      else
+        this.deductPoints(points, `${message}; Error thrown on valid input.`, e.toString());
       return;
     }
 
-    try {
-      deepStrictEqual(actual, expectedValue, 'Expected strict deep equality');
-    } catch (e) {
-      this.deductPoints(points, `${message}; Unexpected results.`,
-        `Received: ${pretty(actual)}\nExpected: ${pretty(expectedValue)}`);
-    }
+    const found = compare(actual, expectedValue);
+    if (!found.length) return;
+    const differences = listDifferences(actual, found);
+    this.deductPoints(points, `${message}; Unexpected results.`,
+      `Received: ${pretty(actual)}\nExpected: ${pretty(expectedValue)}${differences}`,
+      { received: actual, expected: expectedValue, ...(differences && { differences: found }) });
   }
 
   /**
@@ -98,18 +429,17 @@ export default class Grader {
   async assertDeepEqualsOptions(points, message, testCase, expectedValues) {
     let actual;
     try {
-      actual = await testCase();
+      actual = await this.runTestCase(testCase);
     } catch (e) {
-      this.deductPoints(points, `${message}; Error thrown on valid input.`, e.toString());
+      if (e instanceof FatalGraderError) throw e;
+      if (e instanceof TimeoutError)
+        this.deductPoints(points, `${message}; Timed out.`, e.message);
+      else
+        this.deductPoints(points, `${message}; Error thrown on valid input.`, e.toString());
       return;
     }
 
-    for (const expectedValue of expectedValues) {
-      try {
-        deepStrictEqual(actual, expectedValue);
-        return;
-      } catch {}
-    }
+    if (expectedValues.some(expectedValue => !compare(actual, expectedValue).length)) return;
     this.deductPoints(points, `${message}; Unexpected results.`,
       `Received: ${pretty(actual)}\nExpected one of the following:\n- ` +
       expectedValues.map(pretty).join('\n- '));
@@ -132,13 +462,18 @@ export default class Grader {
     if (expectedType && typeof typePoints !== 'number')
       throw new TypeError('If expectedType is provided, typePoints must be provided as well.');
     try {
-      const result = await testCase();
+      const result = await this.runTestCase(testCase);
       this.deductPoints(
         points,
         `${message}; Expected an error to be thrown, got a result instead.`,
         pretty(result)
       );
     } catch (e) {
+      if (e instanceof FatalGraderError) throw e;
+      if (e instanceof TimeoutError) {
+        this.deductPoints(points, `${message}; Timed out.`, e.message);
+        return;
+      }
       if (!expectedMessage && !expectedType) return;
       let deducted = 0;
       if (expectedMessage) {
@@ -161,31 +496,252 @@ export default class Grader {
   }
 
   /**
-   * Make a request and get the response status and body.
-   * @param {string} url The URL to make a request to
-   * @param {Verb} [method] Request method to use (default 'GET')
-   * @param {*} [body] Request body (automatically stringified if necessary)
-   * @returns {Promise<[number,string]>}
+   * Calls a student function and a reference implementation with the same
+   * arguments and describes how the student's result differs, if it does.
+   * @param {Function} studentFn Student's function
+   * @param {Function} referenceFn Reference implementation
+   * @param {any[]} args Arguments to call both with
+   * @param {boolean} checkErrorMessages Whether thrown error messages must match
+   * @returns {Promise<{ reason: string, error: string, comparison?: object, timedOut?: boolean }|null>}
+   */
+  async compareToReference(studentFn, referenceFn, args, checkErrorMessages) {
+    let expected;
+    try {
+      expected = { value: await referenceFn(...cloneArgs(args)) };
+    } catch (e) {
+      expected = { error: e };
+    }
+    let actual;
+    try {
+      actual = { value: await this.runTestCase(() => studentFn(...cloneArgs(args))) };
+    } catch (e) {
+      if (e instanceof FatalGraderError) throw e;
+      if (e instanceof TimeoutError)
+        return { reason: 'Timed out.', error: e.message, timedOut: true };
+      actual = { error: e };
+    }
+    const errorMessage = e => typeof e === 'string' ? e : String(e?.message);
+    if ('error' in expected) {
+      if (!('error' in actual))
+        return { reason: 'Expected an error to be thrown, got a result instead.', error: pretty(actual.value) };
+      if (checkErrorMessages
+        && errorMessage(actual.error).trim() !== errorMessage(expected.error).trim()) {
+        return {
+          reason: 'Encountered unexpected error message.',
+          error: `- Expected: ${errorMessage(expected.error)}\n- Received: ${errorMessage(actual.error)}`
+        };
+      }
+      return null;
+    }
+    if ('error' in actual)
+      return { reason: 'Error thrown on valid input.', error: String(actual.error) };
+    const found = compare(actual.value, expected.value);
+    if (!found.length) return null;
+    const differences = listDifferences(actual.value, found);
+    return {
+      reason: 'Unexpected results.',
+      error: `Received: ${pretty(actual.value)}\nExpected: ${pretty(expected.value)}${differences}`,
+      comparison: { received: actual.value, expected: expected.value, ...(differences && { differences: found }) }
+    };
+  }
+
+  /**
+   * Compares a student function to a reference implementation on many
+   * inputs. Return values are compared like `assertDeepEquals`, and when
+   * the reference throws the student function must throw as well. With a
+   * generator of inputs, a failing input is shrunk to the simplest one
+   * that still fails, and the seed reproduces it.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {Function} studentFn Student's function
+   * @param {Function} referenceFn Reference implementation
+   * @param {any[][]|import('./Generators.js').Generator<any[]>} inputs Argument lists, or a generator of them like `tuple(...)`
+   * @param {{ runs?: number, seed?: string|number, checkErrorMessages?: boolean, maxShrinks?: number }} [options]
+   *   Number of generated inputs (default 100), seed (default is `randomSeed` and the message), whether
+   *   error messages must match (default false) and most attempts at shrinking (default 100)
    */
-  async request(url, method = 'GET', body = '') {
-    const options = { method: method };
-    if (typeof body !== 'string') {
-      options.headers = {
-        'Content-Type': 'application/json'
-      };
-      body = pretty(body);
+  async assertMatchesReference(points, message, studentFn, referenceFn, inputs, options = {}) {
+    const checkMessages = !!options.checkErrorMessages;
+    if (Array.isArray(inputs)) {
+      for (const [i, args] of inputs.entries()) {
+        const failure = await this.compareToReference(studentFn, referenceFn, args, checkMessages);
+        if (!failure) continue;
+        this.deductPoints(points, `${message}; ${failure.reason}`,
+          `Input #${i + 1}: ${showArgs(args)}\n${failure.error}`, failure.comparison);
+        return;
+      }
+      return;
     }
-    if (method !== 'GET' && body)
-      options.body = body;
+    const seed = options.seed ?? `${this.randomSeed}:${message}`;
+    const runs = options.runs ?? 100;
+    const random = createRandom(seed);
+    for (let run = 0; run < runs; run++) {
+      let tree = inputs.generate(random, Math.min(run + 1, 30));
+      let failure = await this.compareToReference(studentFn, referenceFn, tree.value, checkMessages);
+      if (!failure) continue;
+      let shrinks = 0;
+      let attempts = 0;
+      const maxShrinks = options.maxShrinks ?? 100;
+      // Timeouts aren't shrunk, every attempt could take as long
+      shrinking: while (!failure.timedOut && attempts < maxShrinks) {
+        for (const candidate of tree.shrink()) {
+          if (++attempts > maxShrinks) break shrinking;
+          const candidateFailure = await this.compareToReference(
+            studentFn, referenceFn, candidate.value, checkMessages);
+          if (candidateFailure && !candidateFailure.timedOut) {
+            tree = candidate;
+            failure = candidateFailure;
+            shrinks++;
+            continue shrinking;
+          }
+        }
+        break;
+      }
+      this.deductPoints(points, `${message}; ${failure.reason}`,
+        `Input: ${showArgs(tree.value)}\n${failure.error}\n`
+        + `Seed: ${seed} (input ${run + 1} of ${runs}, simplified ${shrinks} time(s))`,
+        failure.comparison);
+      return;
+    }
+  }
+
+  /**
+   * Asserts that a test case prints certain lines to the console, in
+   * order. Lines printed by `console.log`, `info`, `debug`, `warn` and
+   * `error` are all compared.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {(()=>*)} testCase The test case
+   * @param {(string|RegExp|Matcher)[]} expectedLines Lines expected to be printed
+   */
+  async assertLogs(points, message, testCase, expectedLines) {
+    const capture = new OutputCapture({ parent: OutputCapture.current() ?? this.output });
     try {
-      const res = await fetch(url, options)
-      return [res.status, await res.text()];
+      await capture.run(() => this.runTestCase(testCase));
     } catch (e) {
-      if (e instanceof TypeError)
-        throw Error(`Could not complete request: ${method} ${url}
+      if (e instanceof FatalGraderError) throw e;
+      if (e instanceof TimeoutError)
+        this.deductPoints(points, `${message}; Timed out.`, e.message);
+      else
+        this.deductPoints(points, `${message}; Error thrown on valid input.`, e.toString());
+      return;
+    }
+    const actual = capture.lines;
+    const expected = expectedLines.map(line => line instanceof RegExp ? matching(line) : line);
+    const found = compare(actual, expected);
+    if (!found.length) return;
+    const show = lines => lines.length
+      ? lines.map(line => `> ${line instanceof Matcher ? line.display : line}`).join('\n')
+      : '(nothing)';
+    this.deductPoints(points, `${message}; Unexpected console output.`,
+      `Received:\n${show(actual)}\nExpected:\n${show(expected)}${listDifferences(actual, found)}`);
+  }
+
+  /**
+   * Compares a test case against the result the reference solution
+   * produced for the same test ID. When recording the snapshot, the
+   * result is stored instead and nothing is deducted.
+   * @param {number} points Points the test case is worth
+   * @param {string} id Unique test ID the result is recorded under
+   * @param {string} message Message to print before error text
+   * @param {(()=>*)} testCase The test case
+   */
+  async assertSnapshot(points, id, message, testCase) {
+    if (this.recordedEntries) {
+      if (id in this.recordedEntries)
+        throw new Error(`Duplicate snapshot test ID '${id}'.`);
+      try {
+        const value = await this.runTestCase(testCase);
+        this.recordedEntries[id] = value === undefined
+          ? { undefined: true }
+          : { value: JSON.parse(stringify(value)) };
+      } catch (e) {
+        if (e instanceof FatalGraderError) throw e;
+        if (e instanceof TimeoutError)
+          throw new Error(`Reference solution timed out on test '${id}'.`);
+        this.recordedEntries[id] = typeof e === 'string'
+          ? { error: { message: e, string: true } }
+          : { error: { name: e?.name, message: e?.message ?? String(e) } };
+      }
+      return;
+    }
+    const entry = this.snapshotEntries?.[id];
+    if (!entry)
+      throw new Error(`No recorded result for test '${id}'. Record the snapshot from the reference solution again.`);
+    if (entry.error)
+      await this.assertThrows(points, message, testCase, entry.error.message, points);
+    else
+      // Put the value through JSON like the recording was, so dates,
+      // NaN and undefined properties compare the same way
+      await this.assertDeepEquals(points, message, async () => {
+        const json = stringify(await testCase());
+        return json === undefined ? undefined : parse(json);
+      }, entry.undefined ? undefined : parse(JSON.stringify(entry.value)));
+  }
+
+  /**
+   * Error thrown when a request can't reach the student server.
+   * @param {string} method Request method
+   * @param {string} url Requested URL
+   * @returns {Error}
+   */
+  connectionError(method, url) {
+    if (this.serverExit)
+      return Error(`Could not complete request: ${method} ${url}\n${this.serverCrashReport()}`);
+    return Error(`Could not complete request: ${method} ${url}
 Server either didn't start, is at an unexpected URL, or crashed during the previous test case.`);
-      else throw e;
+  }
+
+  /**
+   * HTTP agent with its own cookie jar, for acting as one user across
+   * requests. The same agent is returned for the same name until the
+   * submission is done, so logging in once keeps the session.
+   * @param {string} [name] Name of the user, default is 'default'
+   * @param {Object<string, string>} [headers] Headers sent with every request of a new agent
+   * @returns {HttpAgent}
+   */
+  agent(name = 'default', headers = {}) {
+    if (!this.agents.has(name)) {
+      this.agents.set(name, new HttpAgent({
+        baseUrl: this.baseUrl,
+        headers,
+        connectionError: (method, url) => this.connectionError(method, url),
+        // ObjectIds are sent as `{ oid }` like they always were
+        serialize: pretty
+      }));
     }
+    return this.agents.get(name);
+  }
+
+  /**
+   * Make a request and get the full response. Without an agent in the
+   * options, the request is sent without cookies.
+   * @param {string} url URL to request, relative to the server if not absolute
+   * @param {Verb} [method] Request method to use (default 'GET')
+   * @param {*} [body] Request body (stringified automatically if needed)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
+   * @returns {Promise<import('./HttpAgent.js').AgentResponse>}
+   */
+  async send(url, method = 'GET', body = '', options = {}) {
+    const agent = options.agent ?? new HttpAgent({
+      baseUrl: this.baseUrl,
+      connectionError: (method, url) => this.connectionError(method, url),
+      serialize: pretty
+    });
+    return await agent.request(url, method, body, options);
+  }
+
+  /**
+   * Make a request and get the response status and body.
+   * @param {string} url The URL to make a request to
+   * @param {Verb} [method] Request method to use (default 'GET')
+   * @param {*} [body] Request body (automatically stringified if necessary)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
+   * @returns {Promise<[number,string]>}
+   */
+  async request(url, method = 'GET', body = '', options = {}) {
+    const { status, text } = await this.send(url, method, body, options);
+    return [status, text];
   }
 
   /**
@@ -195,10 +751,11 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
    * @param {Verb} method Request method to use 
    * @param {*} body Request body (stringified automatically if needed)
    * @param {*} expectedValue Expected response body (can be any type)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
    */
-  async assertRequestDeepEquals(points, url, method, body, expectedValue) {
+  async assertRequestDeepEquals(points, url, method, body, expectedValue, options) {
     const testCaseText = `${method.toUpperCase()} ${url}`;
-    const [status, text] = await this.request(url, method, body);
+    const [status, text] = await this.request(url, method, body, options);
     if (status !== 200) {
       this.deductPoints(
         points,
@@ -208,7 +765,7 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
       return;
     }
     let actual = text;
-    if (typeof expectedValue !== 'string') {
+    if (typeof expectedValue !== 'string' && !(expectedValue instanceof Matcher && expectedValue.text)) {
       try {
         actual = JSON.parse(actual);
       } catch(e) {
@@ -237,11 +794,12 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
    * @param {Verb} method Request method to use 
    * @param {*} body Request body (stringified automatically if needed)
    * @param {*} expectedValue Expected response body (can be any type)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
    * @return {Promise<string>} The value of the `_id` property
    */
-  async assertRequestDeepEqualsWithoutId(points, url, method, body, expectedValue) {
+  async assertRequestDeepEqualsWithoutId(points, url, method, body, expectedValue, options) {
     const testCaseText = `${method.toUpperCase()} ${url}`;
-    const [status, text] = await this.request(url, method, body);
+    const [status, text] = await this.request(url, method, body, options);
     if (status !== 200) {
       this.deductPoints(
         points,
@@ -310,10 +868,11 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
    * @param {Verb} method Request method to use 
    * @param {*} body Request body (stringified automatically if needed)
    * @param {number} expectedStatus Status code that response should have
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
    * @returns {Promise<void>}
    */
-  async assertRequestStatus(points, url, method, body, expectedStatus) {
-    const [status] = await this.request(url, method, body);
+  async assertRequestStatus(points, url, method, body, expectedStatus, options) {
+    const [status] = await this.request(url, method, body, options);
     if (status === expectedStatus) return;
     this.deductPoints(
       points,
@@ -324,36 +883,106 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
   }
 
   /**
-   * Asserts that a page has no HTML validation errors
+   * Asserts that a request is answered with a redirect to a location.
+   * The redirect itself is not followed.
+   * @param {number} points Points the test case is worth
+   * @param {string} url URL to request
+   * @param {Verb} method Request method to use
+   * @param {*} body Request body (stringified automatically if needed)
+   * @param {string} expectedLocation Expected URL or path. The query is only compared if given.
+   * @param {RequestOptions} [options] Agent, headers and form body
+   */
+  async assertRedirect(points, url, method, body, expectedLocation, options = {}) {
+    const res = await this.send(url, method, body, { ...options, redirect: 'manual' });
+    const reason = `${method.toUpperCase()} ${url}: Did not redirect to ${expectedLocation}.`;
+    if (!res.location || res.status < 300 || res.status >= 400) {
+      this.deductPoints(points, reason, `Received status: ${res.status}`);
+      return;
+    }
+    const expected = new URL(expectedLocation, this.baseUrl);
+    const actual = new URL(res.location);
+    if (actual.pathname === expected.pathname
+      && (!expected.search || actual.search === expected.search)) return;
+    this.deductPoints(points, reason, `Redirected to: ${actual.pathname}${actual.search}`);
+  }
+
+  /**
+   * Asserts that a response has a header with a certain value.
+   * @param {number} points Points the test case is worth
+   * @param {string} url URL to request
+   * @param {Verb} method Request method to use
+   * @param {*} body Request body (stringified automatically if needed)
+   * @param {string} name Name of the header
+   * @param {string|RegExp|Matcher} expectedValue Expected value of the header
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
+   */
+  async assertHeader(points, url, method, body, name, expectedValue, options) {
+    const res = await this.send(url, method, body, options);
+    const value = res.headers.get(name);
+    const expected = expectedValue instanceof RegExp ? matching(expectedValue) : expectedValue;
+    if (value !== null && !compare(value, expected).length) return;
+    this.deductPoints(
+      points,
+      `${method.toUpperCase()} ${url}`,
+      value === null
+        ? `Missing header: ${name}`
+        : `Received ${name}: ${value}\nExpected ${name}: ${expected instanceof Matcher ? expected.display : expected}`
+    );
+  }
+
+  /**
+   * Asserts that a response sets a cookie, optionally with certain
+   * attributes. The response is checked before any redirect is followed.
+   * @param {number} points Points the test case is worth
+   * @param {string} url URL to request
+   * @param {Verb} method Request method to use
+   * @param {*} body Request body (stringified automatically if needed)
+   * @param {string} name Name of the cookie
+   * @param {{ value?: *, path?: *, httpOnly?: boolean, secure?: boolean, sameSite?: * }} [expectedAttributes]
+   *   Expected value and attributes of the cookie, which may be matchers. Unlisted ones aren't checked.
+   * @param {RequestOptions} [options] Agent, headers and form body
+   * @returns {Promise<string|undefined>} Value of the cookie, if it was set
+   */
+  async assertSetCookie(points, url, method, body, name, expectedAttributes = {}, options = {}) {
+    const res = await this.send(url, method, body, { ...options, redirect: 'manual' });
+    const testCaseText = `${method.toUpperCase()} ${url}`;
+    const cookie = res.setCookies.find(cookie => cookie.name === name);
+    if (!cookie) {
+      const names = res.setCookies.map(cookie => cookie.name);
+      this.deductPoints(points, testCaseText, `Response did not set the cookie '${name}'.`
+        + (names.length ? `\nCookies set: ${names.join(', ')}` : ''));
+      return;
+    }
+    const actual = Object.fromEntries(Object.keys(expectedAttributes).map(key => [key, cookie[key]]));
+    const found = compare(actual, expectedAttributes);
+    if (found.length) {
+      this.deductPoints(points, testCaseText,
+        `Unexpected attributes of the cookie '${name}':\n- ${found.join('\n- ')}`);
+    }
+    return cookie.value;
+  }
+
+  /**
+   * Asserts that a page has no HTML validation errors. The first few
+   * errors are quoted in the comment, and the deduction is scaled by
+   * the number of errors if `pointsPerError` is configured.
    * @param {number} points Points to deduct for invalid HTML
    * @param {string} rawHTML Raw text of the page as a string
    * @param {string} pageName Name to print in comment
    */
   async assertValidHTML(points, rawHTML, pageName) {
-    let res;
-    try {
-      res = await fetch('https://validator.w3.org/nu/?out=json', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'text/html; charset=utf-8'
-        },
-        body: rawHTML
-      });
-    } catch (e) {
-      if (e instanceof TypeError)
-        throw new Error("Couldn't contact the HTML validator successfully.");
-      throw e;
-    }
-    const { messages } = await res.json();
-    for (const message of messages) {
-      if (message.type === 'error') {
-        this.deductPoints(
-          points,
-          `${pageName} has HTML validation errors.`
-        );
-        break;
-      }
-    }
+    const errors = await this.htmlValidator(rawHTML);
+    if (!errors.length) return;
+    const { maxMessages = 3, pointsPerError } = this.htmlValidation;
+    const quoted = errors.slice(0, maxMessages).map(({ message, line, column }) =>
+      `- ${line ? `Line ${line}${column ? `, column ${column}` : ''}: ` : ''}${message}`);
+    if (errors.length > maxMessages)
+      quoted.push(`...and ${errors.length - maxMessages} more.`);
+    this.deductPoints(
+      pointsPerError ? Math.min(points, errors.length * pointsPerError) : points,
+      `${pageName} has ${errors.length} HTML validation error${errors.length === 1 ? '' : 's'}.`,
+      quoted.join('\n')
+    );
   }
 
   /**
@@ -381,6 +1010,359 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
     return res;
   }
 
+  /**
+   * Opens a page in this submission's own browser context. The shared
+   * browser is launched on first use and the context is closed during cleanup.
+   * @param {string} [location] URL or path relative to the server to go to
+   * @returns {Promise<Page>}
+   */
+  async newPage(location) {
+    if (!this.browserContext) {
+      const browser = await getBrowser(this.browserConfig);
+      this.browserContext = await browser.createIncognitoBrowserContext();
+    }
+    const page = await this.browserContext.newPage();
+    page.setDefaultTimeout(this.browserConfig.timeout ?? 5000);
+    if (location) await page.goto(new URL(location, this.baseUrl).href);
+    return page;
+  }
+
+  /**
+   * Deduct points for a failed browser assertion and save a screenshot
+   * of the page next to the report.
+   * @param {Page} page Page the assertion ran on
+   * @param {number} points Points to deduct
+   * @param {string} reason Reason for deduction
+   * @param {string} [error] Associated error message
+   */
+  async deductWithScreenshot(page, points, reason, error) {
+    this.deductPoints(points, reason, error);
+    if (!this.screenshotDir || page.isClosed()) return;
+    const name = (this.submission?.name || path.basename(this.directory)).replace(/[^\w.-]+/g, '_');
+    const file = path.join(this.screenshotDir, `${name}-${this.screenshots.length + 1}.png`);
+    try {
+      await fs.mkdir(this.screenshotDir, { recursive: true });
+      await page.screenshot({ path: file, fullPage: true });
+      this.screenshots.push(file);
+    } catch (e) {
+      this.logger.error(`Couldn't save a screenshot of ${pagePath(page)}: ${e.message}`);
+    }
+  }
+
+  /**
+   * Asserts that the text of an element matches. Whitespace is collapsed
+   * before comparing.
+   * @param {number} points Points the test case is worth
+   * @param {Page} page Puppeteer page
+   * @param {string} selector CSS selector of the element
+   * @param {string|RegExp} expectedText Expected text, or a pattern it must match
+   */
+  async assertElementText(points, page, selector, expectedText) {
+    let text;
+    try {
+      text = normalizeText(await page.$eval(selector, element => element.textContent));
+    } catch {
+      await this.deductWithScreenshot(page, points, `${pagePath(page)}: Missing element '${selector}'.`);
+      return;
+    }
+    if (expectedText instanceof RegExp
+      ? expectedText.test(text)
+      : text === normalizeText(expectedText)) return;
+    await this.deductWithScreenshot(page, points,
+      `${pagePath(page)}: Unexpected text in '${selector}'.`,
+      `Received: ${text}\nExpected: ${expectedText}`);
+  }
+
+  /**
+   * Fills in the fields of a form. Fields are found by name, or by
+   * selector within the form. Checkboxes take booleans, radio buttons
+   * and selects take the value to choose.
+   * @param {Page} page Puppeteer page
+   * @param {string} formSelector CSS selector of the form
+   * @param {Object<string, string|number|boolean|string[]>} values Values keyed by field name or selector
+   * @returns {Promise<ElementHandle>} The form
+   */
+  async fillForm(page, formSelector, values) {
+    const form = await page.$(formSelector);
+    if (!form) throw new Error(`${pagePath(page)}: Missing form '${formSelector}'.`);
+    for (const [field, value] of Object.entries(values)) {
+      const byName = `[name="${field.replaceAll('"', '\\"')}"]`;
+      let input = await form.$(byName);
+      if (!input) {
+        try {
+          input = await form.$(field);
+        } catch {}
+      }
+      if (!input)
+        throw new Error(`${pagePath(page)}: Missing field '${field}' in form '${formSelector}'.`);
+      const [tag, type] = await input.evaluate(element =>
+        [element.tagName.toLowerCase(), (element.type || '').toLowerCase()]);
+      if (tag === 'select') {
+        await input.select(...[value].flat().map(String));
+      } else if (type === 'checkbox') {
+        if (await input.evaluate(element => element.checked) !== Boolean(value))
+          await input.click();
+      } else if (type === 'radio') {
+        const option = await form.$(`${byName}[value="${String(value).replaceAll('"', '\\"')}"]`);
+        if (!option)
+          throw new Error(`${pagePath(page)}: Missing option '${value}' for '${field}' in form '${formSelector}'.`);
+        await option.click();
+      } else {
+        await input.evaluate(element => element.value = '');
+        await input.type(String(value));
+      }
+    }
+    return form;
+  }
+
+  /**
+   * Fills in a form, submits it and waits for the resulting navigation.
+   * @param {Page} page Puppeteer page
+   * @param {string} formSelector CSS selector of the form
+   * @param {Object<string, string|number|boolean|string[]>} values Values keyed by field name or selector
+   * @param {string} [submitSelector] Button to click, default is the form's submit button
+   * @returns {Promise<HTTPResponse|null>} Response of the navigation, null if the page didn't navigate
+   */
+  async fillAndSubmitForm(page, formSelector, values, submitSelector) {
+    const form = await this.fillForm(page, formSelector, values);
+    const navigation = page.waitForNavigation().catch(() => null);
+    await this.submitForm(page, form, submitSelector);
+    return await navigation;
+  }
+
+  /**
+   * Submits a form by clicking its submit button.
+   * @param {Page} page Puppeteer page
+   * @param {ElementHandle} form The form
+   * @param {string} [submitSelector] Button to click, default is the form's submit button
+   */
+  async submitForm(page, form, submitSelector) {
+    const submit = submitSelector
+      ? await form.$(submitSelector) || await page.$(submitSelector)
+      : await form.$('[type="submit"], button:not([type])');
+    if (submit) await submit.click();
+    else await form.evaluate(element => element.requestSubmit());
+  }
+
+  /**
+   * Asserts that the page ends up at a location after navigating or
+   * running an action, such as submitting a form.
+   * @param {number} points Points the test case is worth
+   * @param {Page} page Puppeteer page
+   * @param {string|(() => Promise<any>)} action URL or path to go to, or a function that navigates
+   * @param {string} expectedLocation Expected URL or path. The query is only compared if given.
+   */
+  async assertRedirectsTo(points, page, action, expectedLocation) {
+    const from = typeof action === 'string' ? `GET ${action}` : pagePath(page);
+    try {
+      if (typeof action === 'string') {
+        await page.goto(new URL(action, this.baseUrl).href);
+      } else {
+        const navigation = page.waitForNavigation().catch(() => null);
+        await action();
+        await navigation;
+      }
+    } catch (e) {
+      await this.deductWithScreenshot(page, points, `${from}: Did not redirect to ${expectedLocation}.`,
+        e.message);
+      return;
+    }
+    const expected = new URL(expectedLocation, this.baseUrl);
+    const actual = new URL(page.url());
+    if (actual.pathname === expected.pathname
+      && (!expected.search || actual.search === expected.search)) return;
+    await this.deductWithScreenshot(page, points, `${from}: Did not redirect to ${expectedLocation}.`,
+      `Ended up at: ${actual.pathname}${actual.search}`);
+  }
+
+  /**
+   * Asserts that client-side validation stops a form with invalid input
+   * from being sent to the server, and optionally that an error is shown.
+   * @param {number} points Points the test case is worth
+   * @param {Page} page Puppeteer page
+   * @param {string} formSelector CSS selector of the form
+   * @param {Object<string, string|number|boolean|string[]>} values Invalid values keyed by field name or selector
+   * @param {string} [errorSelector] Element that must become visible with an error message
+   * @param {string} [submitSelector] Button to click, default is the form's submit button
+   */
+  async assertClientSideValidation(points, page, formSelector, values, errorSelector, submitSelector) {
+    const location = pagePath(page);
+    let sent = null;
+    const listener = (req) => {
+      if (!sent && (req.isNavigationRequest() || ['xhr', 'fetch'].includes(req.resourceType())))
+        sent = `${req.method()} ${new URL(req.url()).pathname}`;
+    };
+    page.on('request', listener);
+    try {
+      const form = await this.fillForm(page, formSelector, values);
+      await this.submitForm(page, form, submitSelector);
+      // Give a request a chance to leave
+      await sleep(500);
+    } catch (e) {
+      await this.deductWithScreenshot(page, points, `${location}: Couldn't submit '${formSelector}'.`,
+        e.message);
+      return;
+    } finally {
+      page.off('request', listener);
+    }
+    if (sent) {
+      await this.deductWithScreenshot(page, points,
+        `${location}: Invalid input in '${formSelector}' was sent to the server instead of being caught by client-side validation.`,
+        `Request: ${sent}\nInput: ${pretty(values)}`);
+      return;
+    }
+    if (!errorSelector) return;
+    const error = await page.$(errorSelector);
+    if (error && await error.isVisible()) return;
+    await this.deductWithScreenshot(page, points,
+      `${location}: No error shown in '${errorSelector}' for invalid input in '${formSelector}'.`,
+      `Input: ${pretty(values)}`);
+  }
+
+  /**
+   * Paths of the submission's files matching glob patterns, relative to
+   * the submission root. node_modules is never included.
+   * @param {string|string[]} patterns Glob patterns
+   * @returns {Promise<string[]>}
+   */
+  async sourceFiles(patterns) {
+    const files = await glob(patterns, {
+      cwd: this.directory,
+      ignore: ['**/node_modules/**'],
+      nodir: true,
+      posix: true
+    });
+    return files.sort();
+  }
+
+  /**
+   * Parses every matching file and deducts points once if `find` reports
+   * anything, quoting the file and line of the first few findings.
+   * Files that can't be parsed count as findings.
+   * @param {number} points Points to deduct
+   * @param {string} reason Reason for deduction
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {(ast: import('acorn').Program, file: string) => import('./StaticAnalysis.js').Finding[]} find
+   *   Returns what breaks the rule in a file
+   */
+  async assertStatic(points, reason, patterns, find) {
+    const findings = [];
+    for (const file of await this.sourceFiles(patterns)) {
+      let ast;
+      try {
+        ast = await parseFile(path.join(this.directory, file));
+      } catch (e) {
+        findings.push(`${file}${e.loc ? `:${e.loc.line}` : ''}: Couldn't parse file (${e.message})`);
+        continue;
+      }
+      for (const { name, line } of find(ast, file))
+        findings.push(`${file}${line ? `:${line}` : ''}: ${name}`);
+    }
+    if (!findings.length) return;
+    const quoted = findings.slice(0, 5).map(finding => `- ${finding}`);
+    if (findings.length > 5)
+      quoted.push(`...and ${findings.length - 5} more.`);
+    this.deductPoints(points, reason, quoted.join('\n'));
+  }
+
+  /**
+   * Asserts that a file exports a function under a name.
+   * @param {number} points Points the test case is worth
+   * @param {string} file File path relative to the submission root
+   * @param {string} name Export name, 'default' for the default export
+   */
+  async assertExportsFunction(points, file, name) {
+    let exported;
+    try {
+      exported = findExport(await parseFile(this.buildAbsoluteFilePath(file)), name);
+    } catch (e) {
+      this.deductPoints(points, `Couldn't check the exports of ${file}.`, e.message);
+      return;
+    }
+    if (exported === 'function') return;
+    this.deductPoints(points, exported
+      ? `${file} exports '${name}', but not as a function.`
+      : `${file} doesn't export a function named '${name}'.`);
+  }
+
+  /**
+   * Asserts that global names such as `eval` aren't used, unless the file
+   * declares its own.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {string[]} names Forbidden globals
+   */
+  async assertNoGlobals(points, patterns, names) {
+    await this.assertStatic(points, `Used forbidden ${names.join(', ')}.`, patterns,
+      ast => findGlobals(ast, names));
+  }
+
+  /**
+   * Asserts that modules aren't imported or required. `fs` also
+   * forbids `node:fs` and `fs/promises`.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {string[]} modules Forbidden modules
+   */
+  async assertNoModules(points, patterns, modules) {
+    await this.assertStatic(points, `Used forbidden module(s) ${modules.join(', ')}.`, patterns,
+      ast => findModules(ast, modules));
+  }
+
+  /**
+   * Asserts that members aren't used. `Array.prototype.sort` forbids
+   * every `sort` method, `console.log` forbids just that path.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {string[]} members Forbidden members as dotted paths
+   */
+  async assertNoMembers(points, patterns, members) {
+    await this.assertStatic(points, `Used forbidden ${members.join(', ')}.`, patterns,
+      ast => findMembers(ast, members));
+  }
+
+  /**
+   * Asserts that no `console.log` calls were left in route code.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} [patterns] Glob patterns of the files to check, default is 'routes/**\/*.js'
+   */
+  async assertNoConsoleLog(points, patterns = 'routes/**/*.js') {
+    await this.assertStatic(points, 'Left console.log calls in route code.', patterns,
+      ast => findMembers(ast, ['console.log']));
+  }
+
+  /**
+   * Asserts that each named function calls at least one of the callees,
+   * for example to validate its input.
+   * @param {number} points Points the test case is worth
+   * @param {string} file File path relative to the submission root
+   * @param {string[]} functionNames Functions that must make the call
+   * @param {string[]} callees Names or dotted paths of acceptable calls
+   */
+  async assertFunctionsCall(points, file, functionNames, callees) {
+    await this.assertStatic(points, `Missing calls to ${callees.join(' or ')}.`, file,
+      ast => functionNames.flatMap((name) => {
+        const fn = findFunction(ast, name);
+        if (!fn) return [{ name: `'${name}' not found`, line: null }];
+        return callsAny(fn, callees) ? [] : [{ name: `'${name}' never calls them`, line: fn.loc.start.line }];
+      }));
+  }
+
+  /**
+   * Asserts that every Express route handler calls at least one of the
+   * callees, for example to validate its input.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the route files
+   * @param {string[]} callees Names or dotted paths of acceptable calls
+   * @param {string[]} [methods] Route methods to check, default is post, put and patch
+   */
+  async assertRoutesCall(points, patterns, callees, methods = ['post', 'put', 'patch']) {
+    await this.assertStatic(points, `Missing calls to ${callees.join(' or ')} in routes.`, patterns,
+      ast => findRouteHandlers(ast, methods)
+        .filter(({ handler }) => !callsAny(handler, callees))
+        .map(({ route, line }) => ({ name: `${route} never calls them`, line })));
+  }
+
   /**
    * Builds a file URL from a relative file path for a file in a submission
    * @param {string} relativeFile Relative file path from submission root
@@ -417,40 +1399,152 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
 
   /**
    * Import a javascript file from a relative location in the student submission.
+   * When the assignment is isolated, the module is loaded in a worker thread
+   * and its exported functions become async functions that run there.
    * @param {string} relativePath Relative file path from submission root
    * @param {boolean} [oneTime] Bypasses the cache and does a fresh import
    * @returns {Promise<*>}
    */
   async importFile(relativePath, oneTime) {
-    const file = await import(this.buildAbsoluteFilePath(relativePath, true, oneTime))
+    const url = this.buildAbsoluteFilePath(relativePath, true, oneTime);
+    if (this.sandbox)
+      return await this.sandbox.import(url);
+    const file = await import(url)
     return file.default ? file.default : file;
   }
 
+  /**
+   * The last lines the student server wrote to stdout and stderr.
+   * @param {number} [lines] Number of lines to return, default is 20
+   * @returns {string}
+   */
+  serverLog(lines = 20) {
+    return this.serverOutput.trimEnd().split('\n').slice(-lines).join('\n');
+  }
+
+  /**
+   * Describes how the student server exited, quoting its last output.
+   * @returns {string}
+   */
+  serverCrashReport() {
+    const { code, signal, error } = this.serverExit;
+    let how = `exited ${signal ? `after signal ${signal}` : `with code ${code}`}`;
+    if (error) how = `could not be started (${error})`;
+    else if (this.resourceLimitExceeded) how = `was stopped after ${this.resourceLimitExceeded}`;
+    const log = this.serverLog();
+    return `Server ${how}.` + (log ? ` Last output:\n${log}` : ' It printed nothing.');
+  }
+
+  /**
+   * Stops the student server if it's over the memory or CPU time limit.
+   * Called periodically while the server runs.
+   * @param {import('child_process').ChildProcess} subprocess Student server
+   */
+  async checkResources(subprocess) {
+    const { memory, cpuTime, points = 5 } = this.resourceLimits;
+    const usage = await processGroupUsage(subprocess.pid);
+    if (!usage) {
+      // Not measurable on this platform, only the heap limit applies
+      clearInterval(this.resourceMonitor);
+      return;
+    }
+    if (this.resourceLimitExceeded || this.subprocess !== subprocess) return;
+    if (memory && usage.memory > memory)
+      this.resourceLimitExceeded = `exceeding the ${memory}MB memory limit`;
+    else if (cpuTime && usage.cpuTime > cpuTime)
+      this.resourceLimitExceeded = `exceeding the ${cpuTime}s CPU time limit`;
+    else return;
+    clearInterval(this.resourceMonitor);
+    await killProcessTree(subprocess);
+    // Wait for the exit to be recorded so the deduction can quote it
+    while (!this.serverExit && this.subprocess === subprocess) await sleep(50);
+    this.deductPoints(points, 'Resource limit exceeded.');
+  }
+
+  /**
+   * Checks whether the student server is accepting requests, using the
+   * health check URL if configured, otherwise the port.
+   * @returns {Promise<boolean>}
+   */
+  async serverReady() {
+    if (!this.healthCheck) return await portOpen(this.port);
+    try {
+      // Any response at all means the server is listening
+      await fetch(new URL(this.healthCheck, this.baseUrl));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Called internally by the grading framework.
    */
   async start() {
-    const cmd = this.startScript.split(' ');
-    if (!cmd[0] || cmd[0] !== 'node')
-      throw new Error('Possibly unsafe start script encountered: ' + this.startScript);
-    this.subprocess = await new Promise((resolve, reject) => {
-      const subprocess = spawn(cmd[0], cmd.slice(1), {
-        cwd: this.directory
-      });
-      this.subprocessClosed = false;
-      // Resolve eventually if we don't find what we want
-      const timer = setTimeout(() => resolve(subprocess), 5000);
-      // If URL printed, resolve immediately
-      subprocess.stdout.on('data', (chunk) => {
-        chunk = chunk.toString();
-        if (chunk.includes('localhost') || chunk.includes('127.0.0.1')) {
-          clearTimeout(timer);
-          resolve(subprocess);
-        }
-      });
-      // Track closure of subprocess
-      subprocess.on('close', () => this.subprocessClosed = true);
+    const { command, args, env } = parseStartScript(this.startScript, this.packageJson || {});
+    const { memory, cpuTime } = this.resourceLimits;
+    const nodeOptions = [process.env.NODE_OPTIONS, env.NODE_OPTIONS];
+    if (memory) nodeOptions.push(`--max-old-space-size=${memory}`);
+    // Its own process group, so everything it starts can be stopped together
+    const subprocess = spawn(command, args, {
+      cwd: this.directory,
+      detached: process.platform !== 'win32',
+      env: {
+        ...process.env,
+        ...env,
+        NODE_OPTIONS: nodeOptions.filter(Boolean).join(' '),
+        PORT: String(this.port)
+      }
+    });
+    this.subprocess = subprocess;
+    this.subprocessClosed = false;
+    this.serverOutput = '';
+    this.serverExit = null;
+    this.serverExitQuoted = false;
+    this.resourceLimitExceeded = null;
+    const capture = (chunk) => {
+      this.serverOutput = (this.serverOutput + chunk).slice(-MAX_SERVER_OUTPUT);
+    };
+    subprocess.stdout.on('data', capture);
+    subprocess.stderr.on('data', capture);
+    subprocess.on('error', (e) => {
+      this.subprocessClosed = true;
+      this.serverExit = { error: e.message };
+    });
+    subprocess.on('exit', async (code, signal) => {
+      this.subprocessClosed = true;
+      clearInterval(this.resourceMonitor);
+      // Let the last output arrive, unless leftover processes hold the pipes open
+      await Promise.race([new Promise(resolve => subprocess.once('close', resolve)), sleep(200)]);
+      // Being stopped during cleanup isn't a crash
+      if (this.subprocess !== subprocess || this.serverExit) return;
+      this.serverExit = { code, signal };
+      // The heap limit makes Node stop itself rather than be stopped by the monitor
+      if (memory && !this.resourceLimitExceeded && this.serverOutput.includes('heap out of memory')) {
+        this.resourceLimitExceeded = `exceeding the ${memory}MB memory limit`;
+        this.deductPoints(this.resourceLimits.points ?? 5, 'Resource limit exceeded.');
+      }
     });
+    if (memory || cpuTime)
+      this.resourceMonitor = setInterval(() => this.checkResources(subprocess).catch((e) => {
+        // A rejection here would crash the whole grader
+        clearInterval(this.resourceMonitor);
+        this.logger.error(`Stopped checking resource limits: ${e.message}`);
+      }), 500);
+    const deadline = Date.now() + this.startTimeout;
+    for (;;) {
+      if (this.serverExit) {
+        this.serverExitQuoted = true;
+        throw new Error(`Server didn't start. ${this.serverCrashReport()}`);
+      }
+      if (await this.serverReady()) return;
+      if (Date.now() >= deadline) {
+        const log = this.serverLog();
+        throw new Error(`Server wasn't accepting requests on port ${this.port}`
+          + ` after ${this.startTimeout / 1000}s.` + (log ? ` Last output:\n${log}` : ''));
+      }
+      await sleep(250);
+    }
   }
   
   /**
@@ -467,7 +1561,7 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
     for (const entry of entries) {
       if (!this.hadModules && entry.isDirectory() && entry.name == 'node_modules') {
         this.hadModules = true;
-        this.deductPoints(5, 'Included node_modules in submission.');
+        this.deductPoints(this.packagePolicy.includedModules ?? 5, 'Included node_modules in submission.');
         continue;
       }
       if (this.hadModules && entry.path.includes('node_modules')) continue;
@@ -484,22 +1578,27 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
     this.directory = path.resolve(this.directory);
     if (this.checkPackage) {
       if (!this.packageJson) {
-        this.deductPoints(5, 'Missing package.json file.');
+        this.deductPoints(this.packagePolicy.missingPackage ?? 5, 'Missing package.json file.');
         this.startScript = this.defaultStartScript;
       } else {
         if (!this.packageJson.type || this.packageJson.type !== 'module')
           this.module = false;
         if (this.packageJson.author) this.author = this.packageJson.author;
         if (!this.packageJson.scripts || !this.packageJson.scripts.start) {
-          console.log(this.packageJson);
-          this.deductPoints(5, 'Missing start script in package.json file.');
+          this.deductPoints(this.packagePolicy.missingStartScript ?? 5,
+            'Missing start script in package.json file.');
           this.startScript = this.defaultStartScript;
         } else {
           this.startScript = this.packageJson.scripts.start;
         }
+        for (const { points, reason } of packageViolations(this.packageJson, this.packagePolicy))
+          this.deductPoints(points, reason);
       }
     }
-    process.chdir(this.directory);
+    // Student code may rely on relative paths, but the working
+    // directory is shared by every submission graded concurrently
+    if (!this.concurrent)
+      process.chdir(this.directory);
     const missingFiles = Object.entries(files)
       .filter(([_, found]) => !found)
       .map(([file, _]) => file)
@@ -509,7 +1608,7 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
       const foundCollections = [];
       let collectionsFile;
       try {
-        collectionsFile = await fs.readFile('./config/mongoCollections.js', {
+        collectionsFile = await fs.readFile(this.buildAbsoluteFilePath('config/mongoCollections.js'), {
           encoding: 'utf-8'
         });
       } catch {
@@ -528,9 +1627,135 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
 - Extra/unexpected collections: ${extraCollections || 'None'}`);
       }
     }
-    this.assignmentConfig
     if (this.packageJson && this.packageJson.dependencies)
-      execSync('npm i', { cwd: this.directory });
+      await installDependencies(this.directory, this.packagePolicy);
+  }
+
+  /**
+   * Throws if the database isn't connected.
+   * @returns {import('mongodb').Db}
+   */
+  requireDatabase() {
+    if (!this.db)
+      throw new Error('Database helpers require hasDatabase to be enabled.');
+    return this.db;
+  }
+
+  /**
+   * Insert fixture documents into a collection. ObjectIds and dates are
+   * revived from Extended JSON (`{ $oid }`, `{ $date }`) or `{ oid }`.
+   * @param {string} collection Name of the collection
+   * @param {string|object[]} fixture Documents, or the path to a JSON file of
+   *   them relative to `fixturesDir`
+   * @returns {Promise<object[]>} The inserted documents
+   */
+  async seedCollection(collection, fixture) {
+    const db = this.requireDatabase();
+    let documents = fixture;
+    if (typeof fixture === 'string') {
+      const file = path.resolve(this.fixturesDir, fixture);
+      try {
+        documents = JSON.parse(await fs.readFile(file, { encoding: 'utf8' }));
+      } catch {
+        throw new Error(`Couldn't read fixture file '${file}'.`);
+      }
+    }
+    documents = reviveFixture(documents);
+    if (documents.length)
+      await db.collection(collection).insertMany(documents);
+    return documents;
+  }
+
+  /**
+   * Seed several collections at once.
+   * @param {string|Object<string, string|object[]>} fixtures Map of collection
+   *   names to fixtures, or a directory relative to `fixturesDir` containing
+   *   one `<collection>.json` file per collection
+   */
+  async seedDatabase(fixtures) {
+    if (typeof fixtures === 'string') {
+      const directory = path.resolve(this.fixturesDir, fixtures);
+      const files = (await fs.readdir(directory)).filter(file => file.endsWith('.json'));
+      fixtures = Object.fromEntries(files.map(file =>
+        [file.slice(0, -5), path.join(directory, file)]));
+    }
+    for (const [collection, fixture] of Object.entries(fixtures))
+      await this.seedCollection(collection, fixture);
+  }
+
+  /**
+   * Empty every collection so earlier test cases can't affect later ones.
+   * @param {string|Object<string, string|object[]>} [fixtures] Fixtures to seed afterwards
+   */
+  async resetDatabase(fixtures) {
+    const db = this.requireDatabase();
+    const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+    for (const { name } of collections)
+      if (!name.startsWith('system.'))
+        await db.collection(name).deleteMany({});
+    if (fixtures) await this.seedDatabase(fixtures);
+  }
+
+  /**
+   * Asserts that a collection has a certain number of documents matching a filter.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {string} collection Name of the collection
+   * @param {object} filter Query filter, `{}` for every document
+   * @param {number} expectedCount Expected number of matching documents
+   */
+  async assertDocumentCount(points, message, collection, filter, expectedCount) {
+    const count = await this.requireDatabase().collection(collection).countDocuments(filter);
+    if (count === expectedCount) return;
+    this.deductPoints(points, `${message}; Unexpected number of documents in '${collection}'.`,
+      `Received: ${count}\nExpected: ${expectedCount}`);
+  }
+
+  /**
+   * Asserts that the first document matching a filter equals the expected
+   * document, ignoring `_id` and any other listed generated fields.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {string} collection Name of the collection
+   * @param {object} filter Query filter selecting the document
+   * @param {object} expected Expected document
+   * @param {string[]} [ignore] Keys to ignore at any depth, default is `['_id']`
+   */
+  async assertDocumentMatches(points, message, collection, filter, expected, ignore = ['_id']) {
+    const document = await this.requireDatabase().collection(collection).findOne(filter);
+    if (!document) {
+      this.deductPoints(points, `${message}; No matching document in '${collection}'.`,
+        `Filter: ${pretty(filter)}`);
+      return;
+    }
+    const actual = withoutKeys(document, ignore);
+    expected = withoutKeys(expected, ignore);
+    const found = compare(actual, expected);
+    if (!found.length) return;
+    const differences = listDifferences(actual, found);
+    this.deductPoints(points, `${message}; Unexpected document in '${collection}'.`,
+      `Received: ${pretty(actual)}\nExpected: ${pretty(expected)}${differences}`,
+      { received: actual, expected, ...(differences && { differences: found }) });
+  }
+
+  /**
+   * Asserts that a collection contains every expected document, ignoring
+   * `_id` and any other listed generated fields. Extra documents are allowed.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {string} collection Name of the collection
+   * @param {object[]} expectedDocuments Documents that must be present
+   * @param {string[]} [ignore] Keys to ignore at any depth, default is `['_id']`
+   */
+  async assertCollectionContains(points, message, collection, expectedDocuments, ignore = ['_id']) {
+    const documents = (await this.requireDatabase().collection(collection).find({}).toArray())
+      .map(document => withoutKeys(document, ignore));
+    const missing = expectedDocuments
+      .map(expected => withoutKeys(expected, ignore))
+      .filter(expected => !documents.some(document => !compare(document, expected).length));
+    if (!missing.length) return;
+    this.deductPoints(points, `${message}; Missing document(s) in '${collection}'.`,
+      `Missing:\n- ${missing.map(pretty).join('\n- ')}`);
   }
 
   /**
@@ -539,11 +1764,14 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
   async setupDatabase() {
     const settings = (await this.importFile('config/settings.js', true)).mongoConfig;
     settings.serverUrl = this.connectionString;
-    this.database = settings.database;
+    // Concurrent submissions each need a database of their own
+    this.database = this.concurrent
+      ? `${settings.database}_${this.uid}`
+      : settings.database;
     await fs.writeFile(this.buildAbsoluteFilePath('config/settings.js'),
 `export const mongoConfig = {
   serverUrl: "${settings.serverUrl}",
-  database: "${settings.database}"
+  database: "${this.database}"
 }
 `
     );
@@ -551,6 +1779,20 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
     this.db = this.client.db(this.database);
   }
 
+  /**
+   * Deducts the late penalty, if any, for the submission being graded.
+   * Called internally by the grading framework after the test cases.
+   */
+  applyLatePolicy() {
+    if (!this.submission) return;
+    const penalty = latePenalty(this.latePolicy, this.submission, this.rubric.totalPoints);
+    if (!penalty) return;
+    this.rubric.deduct(
+      penalty.zero ? this.score : Math.min(penalty.points, this.score),
+      penalty.reason
+    );
+  }
+
   /**
    * Override this with assignment-specific implementation.
    */
@@ -563,15 +1805,31 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
    */
   async run() {
     await this.checks();
-    if (this.hasDatabase)
-      await this.setupDatabase();
-    if (this.runStartScript)
-      await this.start();
-    await this.testCases();
+    try {
+      // Everything student code prints while being graded is captured
+      await withTimeout(
+        this.output.run(async () => {
+          if (this.hasDatabase)
+            await this.setupDatabase();
+          if (this.runStartScript)
+            await this.start();
+          await this.testCases();
+        }),
+        this.submissionTimeout
+      );
+    } catch (e) {
+      if (!(e instanceof TimeoutError)) throw e;
+      this.timedOut = true;
+      // Tests that never ran keep their points, the `timedOut` status
+      // holds the submission back for review when `review` is on
+      this.addComment(`Grading stopped after exceeding the ${this.submissionTimeout / 1000}s time limit.`
+        + ' Points earned up to that point were kept.');
+    }
+    this.applyLatePolicy();
     await this.cleanup();
     return {
       grade: this.score,
-      comments: this.comments.join('\n')
+      comments: this.feedback()
     };
   }
 
@@ -587,9 +1845,24 @@ Server either didn't start, is at an unexpected URL, or crashed during the previ
         await closeConnection();
       } catch {}
     }
-    if (this.subprocess && !this.subprocessClosed)
-      if (!this.subprocess.kill())
-        throw new FatalGraderError('Failed to kill student submission process.');
+    if (this.sandbox)
+      await this.sandbox.terminate();
+    if (this.browserContext) {
+      const context = this.browserContext;
+      this.browserContext = null;
+      await context.close().catch(() => {});
+    }
+    clearInterval(this.resourceMonitor);
+    if (this.subprocess) {
+      const subprocess = this.subprocess;
+      this.subprocess = null;
+      // Even if the server exited, processes it started may still hold the port
+      try {
+        await killProcessTree(subprocess);
+      } catch (e) {
+        throw new FatalGraderError(`Failed to kill student submission process: ${e.message}`);
+      }
+    }
     if (!this.hadModules) {
       await fs.rm(path.join(this.directory, 'node_modules'), {
         recursive: true,
@@ -0,0 +1,124 @@
+import { spawn } from 'child_process';
+
+/**
+ * A single HTML validation error
+ * @typedef ValidationError
+ * @property {string} message Description of the error
+ * @property {number} [line] Line the error starts on
+ * @property {number} [column] Column the error starts on
+ */
+
+/**
+ * Validates a page and resolves with its errors
+ * @typedef {(rawHTML: string) => Promise<ValidationError[]>} HtmlValidator
+ */
+
+/**
+ * @typedef HtmlValidationConfig
+ * @property {'w3c'|'nu'|'vnu'|'html-validate'|HtmlValidator} [validator] Validator backend. Default is 'w3c'.
+ * @property {string} [url] URL of a Nu HTML Checker service for the 'nu' backend, e.g. a local `vnu.jar --http` instance.
+ * @property {string} [jar] Path to `vnu.jar` for the 'vnu' backend.
+ * @property {string} [java] Java executable for the 'vnu' backend. Default is 'java'.
+ * @property {object} [rules] Rule configuration for the 'html-validate' backend. Default is its recommended preset.
+ * @property {number} [maxMessages] Number of errors to quote in the deduction comment. Default is 3.
+ * @property {number} [pointsPerError] If set, deduct this many points per error, up to the assertion's points.
+ */
+
+const W3C_URL = 'https://validator.w3.org/nu/';
+
+const fromNuMessages = ({ messages }) => messages
+  .filter(message => message.type === 'error')
+  .map(message => ({
+    message: message.message,
+    line: message.lastLine ?? message.firstLine,
+    column: message.firstColumn ?? message.lastColumn
+  }));
+
+/**
+ * Validator that posts pages to a Nu HTML Checker web service.
+ * @param {string} [url] Service URL, default is the public W3C instance
+ * @returns {HtmlValidator}
+ */
+export const nuService = (url = W3C_URL) => async (rawHTML) => {
+  let res;
+  try {
+    res = await fetch(`${url}${url.includes('?') ? '&' : '?'}out=json`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8'
+      },
+      body: rawHTML
+    });
+  } catch (e) {
+    if (e instanceof TypeError)
+      throw new Error("Couldn't contact the HTML validator successfully.");
+    throw e;
+  }
+  return fromNuMessages(await res.json());
+};
+
+/**
+ * Validator that runs a local copy of `vnu.jar` on every page.
+ * @param {string} jar Path to `vnu.jar`
+ * @param {string} [java] Java executable
+ * @returns {HtmlValidator}
+ */
+export const vnuJar = (jar, java = 'java') => (rawHTML) => new Promise((resolve, reject) => {
+  if (!jar)
+    return reject(new Error("The 'vnu' HTML validator requires the path to vnu.jar."));
+  const subprocess = spawn(java, ['-jar', jar, '--format', 'json', '--stdout', '-']);
+  let output = '';
+  subprocess.stdout.on('data', chunk => output += chunk);
+  subprocess.on('error', () => reject(new Error(`Couldn't run the HTML validator at '${jar}'.`)));
+  subprocess.on('close', () => {
+    try {
+      resolve(fromNuMessages(JSON.parse(output)));
+    } catch {
+      reject(new Error('The HTML validator produced unreadable output.'));
+    }
+  });
+  subprocess.stdin.end(rawHTML);
+});
+
+/**
+ * Validator that uses the `html-validate` package, which must be installed
+ * alongside the grader.
+ * @param {object} [rules] Rule configuration, default is the recommended preset
+ * @returns {HtmlValidator}
+ */
+export const htmlValidate = (rules) => {
+  let validator = null;
+  return async (rawHTML) => {
+    if (!validator) {
+      let HtmlValidate;
+      try {
+        ({ HtmlValidate } = await import('html-validate'));
+      } catch {
+        throw new Error("The 'html-validate' HTML validator requires the html-validate package to be installed.");
+      }
+      validator = new HtmlValidate(rules || { extends: ['html-validate:recommended'] });
+    }
+    const report = await validator.validateString(rawHTML);
+    return report.results
+      .flatMap(result => result.messages)
+      .filter(message => message.severity === 2)
+      .map(({ message, line, column }) => ({ message, line, column }));
+  };
+};
+
+/**
+ * Builds the validator described by an assignment's configuration.
+ * @param {HtmlValidationConfig} [config] HTML validation configuration
+ * @returns {HtmlValidator}
+ */
+export const createValidator = (config = {}) => {
+  const validator = config.validator || 'w3c';
+  if (typeof validator === 'function') return validator;
+  switch (validator) {
+    case 'w3c': return nuService(W3C_URL);
+    case 'nu': return nuService(config.url);
+    case 'vnu': return vnuJar(config.jar, config.java);
+    case 'html-validate': return htmlValidate(config.rules);
+    default: throw new Error(`Unknown HTML validator '${validator}'.`);
+  }
+};
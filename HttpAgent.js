@@ -0,0 +1,223 @@
+/**
+ * @typedef Cookie
+ * @property {string} name Name of the cookie
+ * @property {string} value Value of the cookie
+ * @property {string} path Path the cookie is sent to, default is '/'
+ * @property {Date|null} expires When the cookie expires, null for session cookies
+ * @property {boolean} httpOnly Whether the cookie has the `HttpOnly` attribute
+ * @property {boolean} secure Whether the cookie has the `Secure` attribute
+ * @property {string|null} sameSite Value of the `SameSite` attribute
+ */
+
+/**
+ * @typedef AgentRequestOptions
+ * @property {Object<string, string>} [headers] Headers to send along with the agent's own
+ * @property {boolean} [form] Send an object body as `application/x-www-form-urlencoded` instead of JSON
+ * @property {'follow'|'manual'} [redirect] Follow redirects, or return the redirect response itself. Default is 'follow'.
+ */
+
+/**
+ * @typedef AgentResponse
+ * @property {number} status Status code of the final response
+ * @property {string} text Body of the final response
+ * @property {Headers} headers Headers of the final response
+ * @property {string} url URL of the final response
+ * @property {string|null} location Absolute URL of the `Location` header, if any
+ * @property {Cookie[]} setCookies Cookies set by the final response
+ * @property {{ status: number, url: string, location: string }[]} redirects Redirects that were followed
+ */
+
+const MAX_REDIRECTS = 10;
+
+/**
+ * Parses a `Set-Cookie` header.
+ * @param {string} header Header value
+ * @returns {Cookie}
+ */
+export const parseSetCookie = (header) => {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    path: '/',
+    expires: null,
+    httpOnly: false,
+    secure: false,
+    sameSite: null
+  };
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'path': cookie.path = value || '/'; break;
+      case 'expires': cookie.expires ??= new Date(value); break;
+      // Max-Age takes precedence over Expires
+      case 'max-age': cookie.expires = new Date(Date.now() + Number(value) * 1000); break;
+      case 'httponly': cookie.httpOnly = true; break;
+      case 'secure': cookie.secure = true; break;
+      case 'samesite': cookie.sameSite = value; break;
+    }
+  }
+  return cookie;
+};
+
+/**
+ * Encodes an object as a form body. Arrays become repeated fields.
+ * @param {Object<string, string|number|boolean|string[]>} values Form fields
+ * @returns {URLSearchParams}
+ */
+const formBody = (values) => {
+  const params = new URLSearchParams();
+  for (const [name, value] of Object.entries(values)) {
+    for (const item of [value].flat())
+      params.append(name, String(item));
+  }
+  return params;
+};
+
+/**
+ * HTTP client that keeps cookies between requests, like a browser
+ * session of one user. Redirects are followed by the agent itself so
+ * cookies set along the way aren't lost.
+ */
+export default class HttpAgent {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] URL relative request URLs are resolved against
+   * @param {Object<string, string>} [options.headers] Headers sent with every request
+   * @param {(method: string, url: string, error: Error) => Error} [options.connectionError]
+   *   Builds the error thrown when the server can't be reached
+   * @param {(body: *) => string} [options.serialize] Turns a JSON body into text. Default is `JSON.stringify`.
+   */
+  constructor({ baseUrl, headers = {}, connectionError, serialize = body => JSON.stringify(body, null, 2) } = {}) {
+    this.baseUrl = baseUrl;
+    this.headers = headers;
+    this.connectionError = connectionError;
+    this.serialize = serialize;
+    /** @type {Map<string, Cookie>} */
+    this.cookies = new Map();
+  }
+
+  /**
+   * Value of a cookie in the jar.
+   * @param {string} name Name of the cookie
+   * @returns {string|undefined}
+   */
+  cookie(name) {
+    const cookie = this.cookies.get(name);
+    if (cookie && cookie.expires && cookie.expires <= new Date()) {
+      this.cookies.delete(name);
+      return undefined;
+    }
+    return cookie?.value;
+  }
+
+  /**
+   * Puts a cookie into the jar, such as a forged session ID.
+   * @param {string} name Name of the cookie
+   * @param {string} value Value of the cookie
+   */
+  setCookie(name, value) {
+    this.cookies.set(name, parseSetCookie(`${name}=${value}`));
+  }
+
+  /**
+   * Forgets every cookie, like logging out by closing the browser.
+   */
+  clearCookies() {
+    this.cookies.clear();
+  }
+
+  /**
+   * Stores the cookies set by a response. Expired cookies are removed.
+   * @param {Headers} headers Response headers
+   * @returns {Cookie[]} Cookies the response set
+   */
+  storeCookies(headers) {
+    const cookies = headers.getSetCookie().map(parseSetCookie);
+    for (const cookie of cookies) {
+      if (cookie.expires && cookie.expires <= new Date()) this.cookies.delete(cookie.name);
+      else this.cookies.set(cookie.name, cookie);
+    }
+    return cookies;
+  }
+
+  /**
+   * `Cookie` header for a request to a URL.
+   * @param {URL} url Request URL
+   * @returns {string}
+   */
+  cookieHeader(url) {
+    return [...this.cookies.keys()]
+      .filter(name => this.cookie(name) !== undefined)
+      .map(name => this.cookies.get(name))
+      .filter(cookie => url.pathname.startsWith(cookie.path))
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Makes a request with the agent's cookies and headers.
+   * @param {string} url URL to request, relative to the base URL if not absolute
+   * @param {string} [method] Request method, default is 'GET'
+   * @param {*} [body] Request body. Strings are sent as is, other values as JSON or a form.
+   * @param {AgentRequestOptions} [options] Headers, body encoding and redirect handling
+   * @returns {Promise<AgentResponse>}
+   */
+  async request(url, method = 'GET', body = '', options = {}) {
+    method = method.toUpperCase();
+    const headers = { ...this.headers, ...options.headers };
+    if (body instanceof URLSearchParams || (options.form && typeof body !== 'string')) {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      body = (body instanceof URLSearchParams ? body : formBody(body)).toString();
+    } else if (typeof body !== 'string') {
+      headers['Content-Type'] = 'application/json';
+      body = this.serialize(body);
+    }
+    let target = new URL(url, this.baseUrl);
+    const redirects = [];
+    while (true) {
+      const cookies = this.cookieHeader(target);
+      let res;
+      try {
+        res = await fetch(target, {
+          method,
+          headers: cookies ? { ...headers, Cookie: cookies } : headers,
+          body: method !== 'GET' && method !== 'HEAD' && body ? body : undefined,
+          redirect: 'manual'
+        });
+      } catch (e) {
+        if (e instanceof TypeError && this.connectionError)
+          throw this.connectionError(method, target.href, e);
+        throw e;
+      }
+      const setCookies = this.storeCookies(res.headers);
+      const location = res.headers.get('location')
+        ? new URL(res.headers.get('location'), target).href
+        : null;
+      const redirected = res.status >= 300 && res.status < 400 && location;
+      if (!redirected || options.redirect === 'manual' || redirects.length === MAX_REDIRECTS) {
+        return {
+          status: res.status,
+          text: await res.text(),
+          headers: res.headers,
+          url: target.href,
+          location,
+          setCookies,
+          redirects
+        };
+      }
+      // Drain the body so the connection can be reused
+      await res.arrayBuffer();
+      redirects.push({ status: res.status, url: target.href, location });
+      // Like browsers, only 307 and 308 repeat the method and body
+      if (res.status !== 307 && res.status !== 308) {
+        method = method === 'HEAD' ? 'HEAD' : 'GET';
+        body = '';
+        delete headers['Content-Type'];
+      }
+      target = new URL(location);
+    }
+  }
+};
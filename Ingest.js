@@ -0,0 +1,171 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Zip from 'adm-zip';
+import tar from 'tar';
+
+/**
+ * @typedef Submission
+ * @property {string} file Name of the entry in the submissions directory
+ * @property {string} name Name without any archive extension
+ * @property {'zip'|'tar'|'directory'|'file'} kind How the submission is stored
+ */
+
+/**
+ * @typedef SkippedEntry
+ * @property {string} file Name of the entry in the submissions directory
+ * @property {string} reason Why it wasn't graded
+ */
+
+const ARCHIVES = [
+  ['.tar.gz', 'tar'],
+  ['.tgz', 'tar'],
+  ['.tar', 'tar'],
+  ['.zip', 'zip']
+];
+
+// Entries the grader itself keeps in the submissions directory
+const RESERVED = ['uploaded'];
+
+const JUNK = ['__MACOSX', '.DS_Store', 'Thumbs.db'];
+
+const DEFAULT_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * @param {string} file File name
+ * @returns {[string, 'zip'|'tar']|undefined} Matching extension and archive type
+ */
+const archiveType = file => ARCHIVES.find(([ext]) => file.toLowerCase().endsWith(ext));
+
+/**
+ * Works out how a file in the submissions directory is stored.
+ * @param {string} file File name
+ * @param {string[]} [fileExtensions] Extensions accepted as single-file submissions
+ * @returns {Submission|null} The submission, or null if the file type isn't supported
+ */
+export const describeFile = (file, fileExtensions = DEFAULT_EXTENSIONS) => {
+  const archive = archiveType(file);
+  if (archive)
+    return { file, name: file.slice(0, -archive[0].length), kind: archive[1] };
+  const ext = path.extname(file);
+  if (fileExtensions.includes(ext.toLowerCase()))
+    return { file, name: file.slice(0, -ext.length), kind: 'file' };
+  return null;
+};
+
+/**
+ * Sorts the entries of a submissions directory into submissions that
+ * can be graded and entries that will be skipped.
+ * @param {string} submissionsDir Directory containing the submissions
+ * @param {string[]} [fileExtensions] Extensions accepted as single-file submissions
+ * @returns {Promise<{ submissions: Submission[], skipped: SkippedEntry[] }>}
+ */
+export const listSubmissions = async (submissionsDir, fileExtensions = DEFAULT_EXTENSIONS) => {
+  const submissions = [];
+  const skipped = [];
+  const entries = await fs.readdir(submissionsDir, { withFileTypes: true });
+  for (const entry of entries) {
+    const file = entry.name;
+    if (RESERVED.includes(file) || JUNK.includes(file) || file.startsWith('.'))
+      continue;
+    if (entry.isDirectory()) {
+      submissions.push({ file, name: file, kind: 'directory' });
+      continue;
+    }
+    if (!entry.isFile()) {
+      skipped.push({ file, reason: 'Not a regular file or directory.' });
+      continue;
+    }
+    const submission = describeFile(file, fileExtensions);
+    if (submission) submissions.push(submission);
+    else skipped.push({ file, reason: 'Unsupported file type.' });
+  }
+  return { submissions, skipped };
+};
+
+/**
+ * @param {string} file Archive to extract
+ * @param {'zip'|'tar'} type Archive type
+ * @param {string} destination Directory to extract into
+ */
+const extractArchive = async (file, type, destination) => {
+  await fs.mkdir(destination, { recursive: true });
+  if (type === 'zip') new Zip(file).extractAllTo(destination, true);
+  else await tar.x({ file, cwd: destination });
+};
+
+/**
+ * Removes operating system junk and extracts archives nested inside
+ * the submission, replacing each with a directory of the same name.
+ * @param {string} directory Directory to clean up
+ * @param {number} depth Levels of nested archives still allowed
+ * @returns {Promise<string[]>} Warnings about nested archives that couldn't be read
+ */
+const tidy = async (directory, depth) => {
+  const warnings = [];
+  const entries = await fs.readdir(directory, { withFileTypes: true });
+  for (const entry of entries) {
+    const location = path.join(directory, entry.name);
+    if (JUNK.includes(entry.name)) {
+      await fs.rm(location, { recursive: true, force: true });
+    } else if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules')
+        warnings.push(...await tidy(location, depth));
+    } else if (entry.isFile() && archiveType(entry.name)) {
+      const [ext, type] = archiveType(entry.name);
+      if (depth <= 0) {
+        warnings.push(`Left nested archive '${entry.name}' unextracted, too deeply nested.`);
+        continue;
+      }
+      const target = location.slice(0, -ext.length);
+      try {
+        await extractArchive(location, type, target);
+        await fs.rm(location);
+        warnings.push(...await tidy(target, depth - 1));
+      } catch (e) {
+        warnings.push(`Couldn't extract nested archive '${entry.name}': ${e.message}`);
+      }
+    }
+  }
+  return warnings;
+};
+
+/**
+ * Extract or copy a submission into a working directory.
+ * @param {Submission} submission Submission to extract
+ * @param {string} submissionsDir Directory containing the submissions
+ * @param {string} destination Working directory to extract into
+ * @param {number} [maxNesting] Levels of nested archives to extract. Default is 2.
+ * @returns {Promise<string[]>} Warnings about parts of the submission that couldn't be read
+ */
+export const extractSubmission = async (submission, submissionsDir, destination, maxNesting = 2) => {
+  const source = path.join(submissionsDir, submission.file);
+  if (submission.kind === 'directory') {
+    await fs.cp(source, destination, { recursive: true });
+  } else if (submission.kind === 'file') {
+    await fs.mkdir(destination, { recursive: true });
+    await fs.copyFile(source, path.join(destination, submission.file));
+  } else {
+    try {
+      await extractArchive(source, submission.kind, destination);
+    } catch (e) {
+      throw new Error(`Couldn't read archive '${submission.file}': ${e.message}`);
+    }
+  }
+  // A zip that only holds another archive is unwrapped in place
+  // so the project still ends up at the root
+  let depth = maxNesting;
+  for (;;) {
+    const entries = (await fs.readdir(destination)).filter(name => !JUNK.includes(name));
+    const inner = entries.length === 1 && archiveType(entries[0]);
+    if (!inner || depth <= 0) break;
+    const location = path.join(destination, entries[0]);
+    try {
+      await extractArchive(location, inner[1], destination);
+    } catch (e) {
+      throw new Error(`Couldn't read archive '${entries[0]}' inside '${submission.file}': ${e.message}`);
+    }
+    await fs.rm(location);
+    depth--;
+  }
+  return await tidy(destination, depth);
+};
@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+
+/**
+ * @typedef LatePolicy
+ * @property {string|number|Date} [dueDate] Assignment due date. Without it, only the _LATE marker is used and submissions count as one day late.
+ * @property {number} [flatPenalty] Points deducted from every late submission. Default is 0.
+ * @property {number} [percentPerDay] Percent of the total points deducted per started day late. Default is 0.
+ * @property {number} [graceMinutes] Minutes after the due date that still count as on time. Default is 0.
+ * @property {number} [maxDays] Most days a submission can be penalized for.
+ * @property {boolean} [zeroAfterCutoff] Give a zero to submissions more than `maxDays` late instead of capping the penalty. Default is false.
+ * @property {string|Object<string, string|number>} [extensions] Map of Canvas ID to extended due date or number of extra days, or the path to a JSON file containing it.
+ * @property {string|Object<string, string|number>} [submissionTimes] Map of Canvas ID to submission time, or the path to a JSON file containing it. Overrides the time reported by the LMS.
+ */
+
+/**
+ * @typedef SubmissionInfo
+ * @property {string} name File name of the submission
+ * @property {string|null} canvasId Canvas ID of the student
+ * @property {boolean} late Whether Canvas marked the submission as late
+ * @property {string|null} [submittedAt] When the LMS says it was submitted, as an ISO date
+ */
+
+/**
+ * @typedef LatePenalty
+ * @property {number} points Points to deduct
+ * @property {boolean} zero Whether the submission gets a zero
+ * @property {number} daysLate Started days past the (extended) due date
+ * @property {string} reason Comment line explaining the penalty
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const loadMap = async (map) => {
+  if (typeof map !== 'string') return map || {};
+  try {
+    return JSON.parse(await fs.readFile(map, { encoding: 'utf8' }));
+  } catch {
+    throw new Error(`Couldn't read late policy file '${map}'.`);
+  }
+};
+
+/**
+ * Reads the extension and submission time files referenced by a policy.
+ * @param {LatePolicy} [policy] Late policy from the assignment configuration
+ * @returns {Promise<LatePolicy|undefined>} Policy with all maps loaded
+ */
+export const loadLatePolicy = async (policy) => {
+  if (!policy) return policy;
+  return {
+    ...policy,
+    extensions: await loadMap(policy.extensions),
+    submissionTimes: await loadMap(policy.submissionTimes)
+  };
+};
+
+/**
+ * Works out the penalty a submission receives under a late policy.
+ * @param {LatePolicy} policy Late policy with all maps loaded
+ * @param {SubmissionInfo} submission Submission being graded
+ * @param {number} totalPoints Points the assignment is worth
+ * @returns {LatePenalty|null} The penalty, or null if the submission is on time
+ */
+export const latePenalty = (policy, submission, totalPoints) => {
+  if (!policy) return null;
+  const extension = submission.canvasId !== null
+    ? policy.extensions?.[submission.canvasId]
+    : undefined;
+  const time = (submission.canvasId !== null
+    ? policy.submissionTimes?.[submission.canvasId]
+    : undefined) ?? submission.submittedAt ?? undefined;
+  let daysLate;
+  if (time !== undefined && policy.dueDate !== undefined) {
+    let due = new Date(policy.dueDate).getTime();
+    if (typeof extension === 'number') due += extension * DAY;
+    else if (extension !== undefined) due = new Date(extension).getTime();
+    due += (policy.graceMinutes || 0) * 60 * 1000;
+    const late = new Date(time).getTime() - due;
+    if (late <= 0) return null;
+    daysLate = Math.ceil(late / DAY);
+  } else {
+    // Canvas compares against the original due date, so
+    // an extended student can't be judged by the marker
+    if (!submission.late || extension !== undefined) return null;
+    daysLate = 1;
+  }
+  const plural = days => `${days} day${days === 1 ? '' : 's'}`;
+  let penalizedDays = daysLate;
+  if (policy.maxDays !== undefined && daysLate > policy.maxDays) {
+    if (policy.zeroAfterCutoff) {
+      return {
+        points: totalPoints,
+        zero: true,
+        daysLate,
+        reason: `Late submission (${plural(daysLate)} late): `
+          + `submitted after the ${plural(policy.maxDays)} late cutoff, no credit given.`
+      };
+    }
+    penalizedDays = policy.maxDays;
+  }
+  const points = (policy.flatPenalty || 0)
+    + Math.round((policy.percentPerDay || 0) * totalPoints * penalizedDays) / 100;
+  if (points <= 0) return null;
+  const parts = [];
+  if (policy.flatPenalty) parts.push(`${policy.flatPenalty} point late penalty`);
+  if (policy.percentPerDay)
+    parts.push(`${policy.percentPerDay}% per day for ${plural(penalizedDays)}`);
+  return {
+    points,
+    zero: false,
+    daysLate,
+    reason: `Late submission (${plural(daysLate)} late): ${parts.join(' plus ')}.`
+  };
+};
@@ -0,0 +1,324 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BulkGradeUpdater } from 'canvas-scripts';
+
+/**
+ * @typedef LmsAttachment
+ * @property {string} id ID of the attachment
+ * @property {string} filename Name the student uploaded it as
+ * @property {string} url Where to download it from, a file path for the local backend
+ */
+
+/**
+ * @typedef LmsSubmission
+ * @property {string} studentId ID of the student, the Canvas ID for Canvas
+ * @property {string} name Name of the student
+ * @property {boolean} late Whether the submission was marked as late
+ * @property {string|null} submittedAt When it was submitted, as an ISO date
+ * @property {boolean} graded Whether a grade has already been posted for this submission
+ * @property {LmsAttachment[]} attachments Files that were submitted
+ */
+
+/**
+ * @typedef CanvasConfig
+ * @property {'canvas'} [type] Backend type. Default is 'canvas'.
+ * @property {string} apiKey The Canvas API key to use
+ * @property {string|number} courseId The ID of the Canvas course that the assignment is a part of
+ * @property {string|number} assignmentId The ID of the Canvas assignment
+ * @property {string} [url] Base URL of the Canvas instance, needed to download submissions
+ */
+
+/**
+ * @typedef LocalLmsConfig
+ * @property {'local'} type Backend type
+ * @property {string} directory Directory with a `submissions.json` manifest. Grades are written to `grades.json` in it.
+ */
+
+/**
+ * Name Canvas gives a file in its bulk submission download, which is
+ * what the rest of the grader expects: `name[_LATE]_studentId_attachmentId_filename`.
+ * @param {LmsSubmission} submission Submission the file belongs to
+ * @param {LmsAttachment} attachment Submitted file
+ * @returns {string}
+ */
+export const submissionFileName = (submission, attachment) => {
+  const name = submission.name.toLowerCase().replace(/[^a-z]/g, '') || 'student';
+  return `${name}${submission.late ? '_LATE' : ''}_${submission.studentId}_${attachment.id}_${attachment.filename}`;
+};
+
+/**
+ * Interface between the grader and a learning management system.
+ * Extend it to add a backend.
+ */
+export class LmsBackend {
+  /**
+   * List every submission to the assignment.
+   * @returns {Promise<LmsSubmission[]>}
+   */
+  async listSubmissions() {
+    throw new Error(`${this.constructor.name} can't list submissions.`);
+  }
+
+  /**
+   * Save a submitted file.
+   * @param {LmsAttachment} attachment File to download
+   * @param {string} destination Path to save it to
+   * @returns {Promise<void>}
+   */
+  async download(attachment, destination) {
+    throw new Error(`${this.constructor.name} can't download submissions.`);
+  }
+
+  /**
+   * Queue a grade to be sent by `sendGrades`.
+   * @param {string} studentId ID of the student
+   * @param {number} grade Grade to give
+   * @param {string} comments Comments for the student
+   */
+  addGrade(studentId, grade, comments) {
+    throw new Error(`${this.constructor.name} can't upload grades.`);
+  }
+
+  /**
+   * Throws if grades can't be sent with these settings, so a bad
+   * configuration is reported before anything is graded.
+   * @param {boolean} [commentsAsFiles] Upload comments as files instead of comment text
+   * @param {string} [extension] Extension of comment files, matching the feedback format. Default is 'txt'.
+   */
+  checkUpload(commentsAsFiles, extension) {}
+
+  /**
+   * Send every queued grade.
+   * @param {boolean} [commentsAsFiles] Upload comments as files instead of comment text
+   * @param {string} [extension] Extension of comment files, matching the feedback format. Default is 'txt'.
+   * @returns {Promise<void>}
+   */
+  async sendGrades(commentsAsFiles, extension) {
+    throw new Error(`${this.constructor.name} can't upload grades.`);
+  }
+
+  /**
+   * IDs of the students whose current submission already has a grade.
+   * @returns {Promise<Set<string>>}
+   */
+  async gradedStudents() {
+    const submissions = await this.listSubmissions();
+    return new Set(submissions.filter(s => s.graded).map(s => s.studentId));
+  }
+
+  /**
+   * When each student's current submission was submitted.
+   * @returns {Promise<Map<string, string>>} ISO dates by student ID
+   */
+  async submissionTimes() {
+    const submissions = await this.listSubmissions();
+    return new Map(submissions.filter(s => s.submittedAt).map(s => [s.studentId, s.submittedAt]));
+  }
+};
+
+/**
+ * Canvas backend. Grades go through canvas-scripts' `BulkGradeUpdater`,
+ * submissions are listed and downloaded with the Canvas REST API.
+ */
+export class CanvasBackend extends LmsBackend {
+  /**
+   * @param {CanvasConfig} config Canvas credentials
+   */
+  constructor(config) {
+    super();
+    this.apiKey = config.apiKey;
+    this.courseId = config.courseId;
+    this.assignmentId = config.assignmentId;
+    this.url = config.url?.replace(/\/+$/, '');
+    this.updater = null;
+  }
+
+  /**
+   * Fetch from the Canvas API, following pagination.
+   * @param {string} endpoint Path below `/api/v1`
+   * @returns {Promise<object[]>}
+   */
+  async fetchAll(endpoint) {
+    if (!this.url)
+      throw new Error('Listing and downloading Canvas submissions needs the Canvas URL (canvas.url or CANVAS_URL).');
+    const results = [];
+    let next = `${this.url}/api/v1${endpoint}`;
+    while (next) {
+      let res;
+      try {
+        res = await fetch(next, { headers: { Authorization: `Bearer ${this.apiKey}` } });
+      } catch {
+        throw new Error(`Couldn't contact Canvas at ${this.url}.`);
+      }
+      if (!res.ok)
+        throw new Error(`Canvas request failed with status ${res.status}: ${endpoint}`);
+      results.push(...await res.json());
+      next = /<([^>]+)>;\s*rel="next"/.exec(res.headers.get('link') || '')?.[1];
+    }
+    return results;
+  }
+
+  async listSubmissions() {
+    const submissions = await this.fetchAll(`/courses/${this.courseId}/assignments/${this.assignmentId}`
+      + '/submissions?include[]=user&per_page=100');
+    return submissions
+      .filter(submission => submission.submitted_at)
+      .map(submission => ({
+        studentId: String(submission.user_id),
+        name: submission.user?.sortable_name || submission.user?.name || '',
+        late: !!submission.late,
+        submittedAt: submission.submitted_at,
+        graded: submission.workflow_state === 'graded',
+        attachments: (submission.attachments || []).map(attachment => ({
+          id: String(attachment.id),
+          filename: attachment.filename,
+          url: attachment.url
+        }))
+      }));
+  }
+
+  async download(attachment, destination) {
+    let res;
+    try {
+      res = await fetch(attachment.url, { headers: { Authorization: `Bearer ${this.apiKey}` } });
+    } catch {
+      throw new Error(`Couldn't download '${attachment.filename}' from Canvas.`);
+    }
+    if (!res.ok)
+      throw new Error(`Couldn't download '${attachment.filename}' from Canvas (status ${res.status}).`);
+    await fs.writeFile(destination, Buffer.from(await res.arrayBuffer()));
+  }
+
+  /**
+   * Connects the grade updater. Called by `connectLms`.
+   * @returns {Promise<CanvasBackend>}
+   */
+  async connect() {
+    this.updater = await new BulkGradeUpdater().setParameters(
+      this.apiKey,
+      this.courseId,
+      this.assignmentId
+    );
+    return this;
+  }
+
+  addGrade(studentId, grade, comments) {
+    this.updater.addStudent(studentId, grade, comments);
+  }
+
+  // canvas-scripts names the comment files itself, always as text files
+  checkUpload(commentsAsFiles, extension = 'txt') {
+    if (commentsAsFiles && extension !== 'txt') {
+      throw new Error(`Canvas comment files are always uploaded as .txt, so they can't hold .${extension} feedback.`
+        + " Use the 'text' feedback format or turn off commentsAsFiles.");
+    }
+  }
+
+  async sendGrades(commentsAsFiles, extension) {
+    this.checkUpload(commentsAsFiles, extension);
+    await this.updater.sendUpdate(commentsAsFiles);
+  }
+};
+
+/**
+ * Backend that reads submissions from a directory and writes grades to
+ * a JSON file, for running the whole flow offline.
+ *
+ * `submissions.json` holds an array of
+ * `{ studentId, name, late?, submittedAt?, files: string[] }`, with file
+ * paths relative to the directory. Grades are written to `grades.json`
+ * keyed by student ID, and comment files to `comments/`.
+ */
+export class LocalBackend extends LmsBackend {
+  /**
+   * @param {LocalLmsConfig} config Location of the local backend
+   */
+  constructor(config) {
+    super();
+    if (!config.directory)
+      throw new Error("The local LMS backend needs a 'directory'.");
+    this.directory = path.resolve(config.directory);
+    this.gradesFile = path.join(this.directory, 'grades.json');
+    this.queued = [];
+  }
+
+  /**
+   * @returns {Promise<Object<string, { grade: number, comments: string, gradedAt: string }>>}
+   */
+  async readGrades() {
+    try {
+      return JSON.parse(await fs.readFile(this.gradesFile, { encoding: 'utf8' }));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw new Error(`Couldn't read '${this.gradesFile}'.`);
+    }
+  }
+
+  async listSubmissions() {
+    const manifest = path.join(this.directory, 'submissions.json');
+    let submissions;
+    try {
+      submissions = JSON.parse(await fs.readFile(manifest, { encoding: 'utf8' }));
+    } catch {
+      throw new Error(`Couldn't read '${manifest}'.`);
+    }
+    const grades = await this.readGrades();
+    return submissions.map(submission => {
+      const studentId = String(submission.studentId);
+      const grade = grades[studentId];
+      return {
+        studentId,
+        name: submission.name || '',
+        late: !!submission.late,
+        submittedAt: submission.submittedAt || null,
+        // Resubmitting after being graded needs a new grade
+        graded: !!grade && (!submission.submittedAt
+          || new Date(grade.gradedAt) >= new Date(submission.submittedAt)),
+        attachments: submission.files.map((file, i) => ({
+          id: String(i + 1),
+          filename: path.basename(file),
+          url: path.join(this.directory, file)
+        }))
+      };
+    });
+  }
+
+  async download(attachment, destination) {
+    await fs.cp(attachment.url, destination, { recursive: true });
+  }
+
+  addGrade(studentId, grade, comments) {
+    this.queued.push({ studentId: String(studentId), grade, comments });
+  }
+
+  async sendGrades(commentsAsFiles, extension = 'txt') {
+    const grades = await this.readGrades();
+    const gradedAt = new Date().toISOString();
+    for (const { studentId, grade, comments } of this.queued) {
+      grades[studentId] = { grade, comments, gradedAt };
+      if (commentsAsFiles) {
+        const file = path.join(this.directory, 'comments', `${studentId}.${extension}`);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, comments);
+        grades[studentId].commentFile = path.relative(this.directory, file);
+      }
+    }
+    await fs.writeFile(this.gradesFile, JSON.stringify(grades, null, 2));
+    this.queued = [];
+  }
+};
+
+/**
+ * Builds and connects the backend described by a configuration. Backend
+ * instances are passed through, so custom backends can be used directly.
+ * @param {CanvasConfig|LocalLmsConfig|LmsBackend} config Backend configuration
+ * @returns {Promise<LmsBackend>}
+ */
+export const connectLms = async (config) => {
+  if (config instanceof LmsBackend) return config;
+  switch (config.type || 'canvas') {
+    case 'canvas': return await new CanvasBackend(config).connect();
+    case 'local': return new LocalBackend(config);
+    default: throw new Error(`Unknown LMS backend '${config.type}'.`);
+  }
+};
@@ -0,0 +1,38 @@
+import { rawConsole } from './ConsoleCapture.js';
+
+/**
+ * Console replacement for a single submission. When buffered, output
+ * is held back until `flush()` so that submissions graded at the same
+ * time don't interleave their logs.
+ */
+export default class Logger {
+  /**
+   * @param {boolean} [buffered] Hold output until `flush()` is called
+   */
+  constructor(buffered = false) {
+    this.buffered = buffered;
+    this.lines = [];
+  }
+
+  write(method, args) {
+    if (this.buffered) this.lines.push([method, args]);
+    else rawConsole[method](...args);
+  }
+
+  log(...args) {
+    this.write('log', args);
+  }
+
+  error(...args) {
+    this.write('error', args);
+  }
+
+  /**
+   * Prints all held back output.
+   */
+  flush() {
+    for (const [method, args] of this.lines)
+      rawConsole[method](...args);
+    this.lines = [];
+  }
+};
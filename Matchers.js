@@ -0,0 +1,207 @@
+import { deepStrictEqual } from 'assert';
+import { ObjectId } from 'mongodb';
+
+/**
+ * Compares a value at some path of an expected value
+ * @callback MatchFunction
+ * @param {*} actual Value that was received
+ * @param {string} path Path of the value, for describing differences
+ * @param {Set<string>} ignored Keys ignored at this depth and below
+ * @returns {string[]} One description per difference, none if it matches
+ */
+
+/**
+ * A placeholder inside an expected value that matches received values
+ * more loosely than strict deep equality. Use the functions of this
+ * module to create one, or construct one directly for custom checks.
+ */
+export class Matcher {
+  /**
+   * @param {*} display What the matcher is shown as in `Expected:` dumps
+   * @param {MatchFunction} match Compares a received value
+   * @param {boolean} [text] Whether the matcher matches strings, so response bodies aren't parsed as JSON
+   */
+  constructor(display, match, text = false) {
+    this.display = display;
+    this.match = match;
+    this.text = text;
+  }
+
+  toJSON() {
+    return this.display;
+  }
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object'
+  && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Path of a property, like `users[0].name` or `tags["first name"]`.
+ * @param {string} path Path of the object
+ * @param {string} key Property name
+ * @returns {string}
+ */
+export const keyPath = (path, key) => /^[A-Za-z_$][\w$]*$/.test(key)
+  ? (path ? `${path}.${key}` : key)
+  : `${path}[${JSON.stringify(key)}]`;
+
+const show = (value) => {
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 80 ? `${text.slice(0, 80)}...` : text;
+};
+
+const mismatch = (path, actual, expected) => unlike(path, actual, show(expected));
+
+// Differences from matchers that describe rather than show what they expect
+const unlike = (path, actual, description) =>
+  [`${path || '(value)'}: received ${show(actual)}, expected ${description}`];
+
+/**
+ * Lists the paths at which a received value doesn't match an expected
+ * value. Values without matchers must be strictly deep equal.
+ * @param {*} actual Value that was received
+ * @param {*} expected Expected value, which may contain matchers
+ * @param {string} [path] Path of the values
+ * @param {Set<string>} [ignored] Keys to skip in objects at any depth
+ * @returns {string[]} One description per difference, none if they match
+ */
+export const compare = (actual, expected, path = '', ignored = new Set()) => {
+  if (expected instanceof Matcher) return expected.match(actual, path, ignored);
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual)) return mismatch(path, actual, expected);
+    const found = [];
+    for (let i = 0; i < Math.max(actual.length, expected.length); i++) {
+      if (i >= actual.length) found.push(`${path}[${i}]: missing, expected ${show(expected[i])}`);
+      else if (i >= expected.length) found.push(`${path}[${i}]: unexpected ${show(actual[i])}`);
+      else found.push(...compare(actual[i], expected[i], `${path}[${i}]`, ignored));
+    }
+    return found;
+  }
+  if (isPlainObject(expected)) {
+    if (!isPlainObject(actual)) return mismatch(path, actual, expected);
+    const found = [];
+    const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    for (const key of keys) {
+      if (ignored.has(key)) continue;
+      const child = keyPath(path, key);
+      if (!(key in actual)) found.push(`${child}: missing, expected ${show(expected[key])}`);
+      else if (!(key in expected)) found.push(`${child}: unexpected ${show(actual[key])}`);
+      else found.push(...compare(actual[key], expected[key], child, ignored));
+    }
+    return found;
+  }
+  try {
+    deepStrictEqual(actual, expected);
+    return [];
+  } catch {
+    return mismatch(path, actual, expected);
+  }
+};
+
+/**
+ * Numbers within `tolerance` of `value`.
+ * @param {number} value Expected number
+ * @param {number} [tolerance] Largest allowed difference, default is 1e-9
+ * @returns {Matcher}
+ */
+export const closeTo = (value, tolerance = 1e-9) => new Matcher(
+  `<${value} ± ${tolerance}>`,
+  (actual, path) => typeof actual === 'number' && Math.abs(actual - value) <= tolerance
+    ? []
+    : unlike(path, actual, `<${value} ± ${tolerance}>`)
+);
+
+/**
+ * Arrays with the same elements in any order. Elements may be matchers.
+ * @param {any[]} expected Expected elements
+ * @returns {Matcher}
+ */
+export const unordered = expected => new Matcher(expected, (actual, path, ignored) => {
+  if (!Array.isArray(actual)) return mismatch(path, actual, expected);
+  const fits = expected.map(item => actual.map(value => !compare(value, item, path, ignored).length));
+  // Pair every expected element with a received one, moving earlier
+  // pairs to other elements when needed (Kuhn's algorithm)
+  const pairedWith = new Array(actual.length).fill(-1);
+  const pair = (i, seen) => {
+    for (let j = 0; j < actual.length; j++) {
+      if (!fits[i][j] || seen.has(j)) continue;
+      seen.add(j);
+      if (pairedWith[j] === -1 || pair(pairedWith[j], seen)) {
+        pairedWith[j] = i;
+        return true;
+      }
+    }
+    return false;
+  };
+  const unpaired = expected.filter((_, i) => !pair(i, new Set()));
+  const where = path || '(value)';
+  return [
+    ...unpaired.map(item => `${where}: no element matching ${show(item)}`),
+    ...actual.filter((_, j) => pairedWith[j] === -1).map(value => `${where}: unexpected ${show(value)}`)
+  ];
+});
+
+/**
+ * Strings equal to `expected` ignoring case and differences in whitespace.
+ * @param {string} expected Expected string
+ * @param {{ ignoreCase?: boolean, ignoreWhitespace?: boolean }} [options] What to ignore, both default to true.
+ *   Ignoring whitespace trims the strings and treats every run of whitespace as one space.
+ * @returns {Matcher}
+ */
+export const looseString = (expected, { ignoreCase = true, ignoreWhitespace = true } = {}) => {
+  const normalize = (text) => {
+    if (ignoreWhitespace) text = text.trim().replace(/\s+/g, ' ');
+    return ignoreCase ? text.toLowerCase() : text;
+  };
+  return new Matcher(expected, (actual, path) =>
+    typeof actual === 'string' && normalize(actual) === normalize(expected)
+      ? []
+      : mismatch(path, actual, expected), true);
+};
+
+/**
+ * Strings matching a regular expression.
+ * @param {RegExp} pattern Regular expression
+ * @returns {Matcher}
+ */
+export const matching = pattern => new Matcher(`<matching ${pattern}>`, (actual, path) => {
+  pattern.lastIndex = 0;
+  return typeof actual === 'string' && pattern.test(actual)
+    ? []
+    : unlike(path, actual, `<matching ${pattern}>`);
+}, true);
+
+/**
+ * ObjectIds, and strings that are valid ObjectIds.
+ * @returns {Matcher}
+ */
+export const anyObjectId = () => new Matcher('<any ObjectId>', (actual, path) =>
+  actual instanceof ObjectId || (typeof actual === 'string' && /^[a-f0-9]{24}$/i.test(actual))
+    ? []
+    : unlike(path, actual, '<any ObjectId>'));
+
+/**
+ * Any value, as long as it's present and not undefined.
+ * @returns {Matcher}
+ */
+export const anything = () => new Matcher('<anything>', (actual, path) =>
+  actual === undefined ? unlike(path, actual, '<anything>') : []);
+
+/**
+ * Values a predicate accepts.
+ * @param {(actual: *) => boolean} predicate Check of the received value
+ * @param {string} description What the predicate checks, shown in comments
+ * @returns {Matcher}
+ */
+export const satisfies = (predicate, description) => new Matcher(`<${description}>`, (actual, path) =>
+  predicate(actual) ? [] : unlike(path, actual, `<${description}>`));
+
+/**
+ * Matches `expected`, skipping the listed keys in objects at any depth,
+ * such as `_id` or timestamps.
+ * @param {string|string[]} keys Keys to ignore
+ * @param {*} expected Expected value
+ * @returns {Matcher}
+ */
+export const ignoreKeys = (keys, expected) => new Matcher(expected, (actual, path, ignored) =>
+  compare(actual, expected, path, new Set([...ignored, ...[keys].flat()])));
@@ -0,0 +1,113 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+
+/**
+ * @typedef PackagePolicy
+ * @property {number} [missingPackage] Points deducted for a missing package.json. Default is 5.
+ * @property {number} [missingStartScript] Points deducted for a missing start script. Default is 5.
+ * @property {number} [includedModules] Points deducted for including node_modules. Default is 5.
+ * @property {boolean} [requireModule] Require `"type": "module"` in package.json. Default is false.
+ * @property {number} [notModule] Points deducted when `"type": "module"` is required but missing. Default is 5.
+ * @property {string[]} [requiredDependencies] Packages that must be listed in `dependencies`.
+ * @property {number} [missingDependency] Points deducted per missing required dependency. Default is 5.
+ * @property {string[]} [forbiddenDependencies] Packages that must not be listed in any dependency field.
+ * @property {number} [forbiddenDependency] Points deducted per forbidden dependency. Default is 5.
+ * @property {boolean} [checkVersions] Check that every dependency has a plain semver version or range, so tags like 'latest', git URLs and `npm:` aliases are deducted. Default is false.
+ * @property {number} [invalidVersion] Points deducted per dependency with a bad version range. Default is 1.
+ * @property {'online'|'offline'|false} [install] How to install dependencies. 'online' runs a plain `npm i`, 'offline' only uses the npm cache. Default is 'online'.
+ * @property {string} [npmCache] npm cache directory shared by every submission. Default is npm's own cache.
+ */
+
+/**
+ * @typedef PolicyViolation
+ * @property {number} points Points to deduct
+ * @property {string} reason Reason for the deduction
+ */
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Plain versions and ranges like ^1.2.3, ~1.2, >=1.0.0 <2, 1.x
+const VERSION_RANGE = /^(?:(?:[~^]|[<>]=?|=)?\s*v?\d+(?:\.(?:\d+|[xX*])){0,2}(?:-[\w.]+)?(?:\+[\w.]+)?\s*)+(?:\|\|\s*(?:(?:[~^]|[<>]=?|=)?\s*v?\d+(?:\.(?:\d+|[xX*])){0,2}(?:-[\w.]+)?(?:\+[\w.]+)?\s*)+)*$/;
+
+/**
+ * Explains what's wrong with a dependency's version, if anything.
+ * @param {string} version Version from package.json
+ * @returns {string|null}
+ */
+const versionProblem = (version) => {
+  if (typeof version !== 'string' || !version.trim()) return 'no version';
+  if (['*', 'latest', 'x'].includes(version.trim())) return `any version ('${version}')`;
+  if (/^(file|link):/.test(version)) return `a local path ('${version}')`;
+  if (!VERSION_RANGE.test(version.trim())) return `an unusual version ('${version}')`;
+  return null;
+};
+
+/**
+ * Checks a submission's package.json against an assignment's policy.
+ * Missing package.json and start script are handled by the grader.
+ * @param {object} packageJson Parsed package.json
+ * @param {PackagePolicy} [policy] Package policy from the assignment configuration
+ * @returns {PolicyViolation[]}
+ */
+export const packageViolations = (packageJson, policy = {}) => {
+  const violations = [];
+  if (policy.requireModule && packageJson.type !== 'module') {
+    violations.push({
+      points: policy.notModule ?? 5,
+      reason: `package.json must set "type": "module".`
+    });
+  }
+  const dependencies = packageJson.dependencies || {};
+  for (const name of policy.requiredDependencies || []) {
+    if (dependencies[name] !== undefined) continue;
+    violations.push({
+      points: policy.missingDependency ?? 5,
+      reason: `Missing required dependency '${name}' in package.json.`
+    });
+  }
+  for (const field of DEPENDENCY_FIELDS) {
+    for (const [name, version] of Object.entries(packageJson[field] || {})) {
+      if (policy.forbiddenDependencies?.includes(name)) {
+        violations.push({
+          points: policy.forbiddenDependency ?? 5,
+          reason: `Used forbidden dependency '${name}'.`
+        });
+        continue;
+      }
+      const problem = policy.checkVersions && versionProblem(version);
+      if (problem) {
+        violations.push({
+          points: policy.invalidVersion ?? 1,
+          reason: `Dependency '${name}' in package.json has ${problem}.`
+        });
+      }
+    }
+  }
+  return violations;
+};
+
+/**
+ * Installs a submission's dependencies as the policy describes.
+ * @param {string} directory Directory containing package.json
+ * @param {PackagePolicy} [policy] Package policy from the assignment configuration
+ * @returns {Promise<void>}
+ */
+export const installDependencies = async (directory, policy = {}) => {
+  const install = policy.install ?? 'online';
+  if (!install) return;
+  const args = ['i'];
+  if (install === 'offline') args.push('--offline');
+  if (policy.npmCache) args.push('--cache', path.resolve(policy.npmCache));
+  try {
+    await promisify(execFile)(process.platform === 'win32' ? 'npm.cmd' : 'npm', args, {
+      cwd: directory,
+      shell: process.platform === 'win32'
+    });
+  } catch (e) {
+    const output = (e.stderr || e.message).trim().split('\n').slice(-10).join('\n');
+    throw new Error(install === 'offline'
+      ? `Couldn't install dependencies from the npm cache. Add them to the cache with network access first.\n${output}`
+      : `Couldn't install dependencies.\n${output}`);
+  }
+};
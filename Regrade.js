@@ -0,0 +1,97 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @typedef RegradeConfig
+ * @property {string} [report] JSON report to compare against. Default is every JSON report in `reportDir`, later ones taking precedence unless grading crashed.
+ * @property {boolean} [includeUploaded] Also grade the submissions already moved into `uploaded`. Default is true.
+ * @property {boolean} [uploadUnchanged] Upload every regraded student instead of only those whose grade or comments changed. Default is false.
+ */
+
+/**
+ * @typedef RegradeChange
+ * @property {'added'|'changed'|'unchanged'} type How the result compares to the previous one
+ * @property {string} key Canvas ID of the student, or the submission's file name without one
+ * @property {import('./Report.js').ReportEntry|null} before Previous result
+ * @property {import('./Report.js').ReportEntry} after New result
+ * @property {string[]} removed Comment lines only in the previous result
+ * @property {string[]} added Comment lines only in the new result
+ */
+
+/**
+ * Identifies the student a report entry belongs to across runs.
+ * @param {import('./Report.js').ReportEntry} entry Report entry
+ * @returns {string}
+ */
+export const studentKey = entry => entry.canvasId ?? path.basename(entry.submission);
+
+/**
+ * Loads the previous result of every student.
+ * @param {RegradeConfig} config Regrade configuration
+ * @param {string} [reportDir] Directory reports are written to
+ * @returns {Promise<Map<string, import('./Report.js').ReportEntry>>} Previous results by `studentKey`
+ */
+export const loadPreviousResults = async (config, reportDir) => {
+  let files;
+  if (config.report) {
+    files = [config.report];
+  } else if (reportDir) {
+    // Report names contain their start time, so they sort chronologically
+    files = (await fs.readdir(reportDir).catch(() => []))
+      .filter(file => /^report-.*\.json$/.test(file))
+      .sort()
+      .map(file => path.join(reportDir, file));
+  } else {
+    throw new Error('Regrading needs regrade.report or a reportDir with previous reports.');
+  }
+  const results = new Map();
+  for (const file of files) {
+    let saved;
+    try {
+      saved = JSON.parse(await fs.readFile(file, { encoding: 'utf8' }));
+    } catch {
+      throw new Error(`Couldn't read report '${file}'.`);
+    }
+    for (const entry of saved.submissions) {
+      // A run that crashed didn't replace the grade that was uploaded before
+      if (entry.score === null && results.has(studentKey(entry))) continue;
+      results.set(studentKey(entry), entry);
+    }
+  }
+  return results;
+};
+
+/**
+ * Lines of `lines` that aren't in `other`, counting repeated lines.
+ * @param {string[]} lines Lines to check
+ * @param {string[]} other Lines to remove
+ * @returns {string[]}
+ */
+const missingLines = (lines, other) => {
+  const remaining = [...other];
+  return lines.filter(line => {
+    const i = remaining.indexOf(line);
+    if (i === -1) return true;
+    remaining.splice(i, 1);
+    return false;
+  });
+};
+
+/**
+ * Compares a new result to the previous result of the same student.
+ * @param {import('./Report.js').ReportEntry|undefined} before Previous result
+ * @param {import('./Report.js').ReportEntry} after New result
+ * @returns {RegradeChange}
+ */
+export const diffResult = (before, after) => {
+  const key = studentKey(after);
+  if (!before)
+    return { type: 'added', key, before: null, after, removed: [], added: [] };
+  const beforeLines = before.comments ? before.comments.split('\n') : [];
+  const afterLines = after.comments ? after.comments.split('\n') : [];
+  const removed = missingLines(beforeLines, afterLines);
+  const added = missingLines(afterLines, beforeLines);
+  const changed = before.score !== after.score || before.status !== after.status
+    || before.comments !== after.comments;
+  return { type: changed ? 'changed' : 'unchanged', key, before, after, removed, added };
+};
@@ -0,0 +1,134 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Outcome of grading one submission
+ * @typedef {'graded'|'timedOut'|'crashed'|'fatal'} SubmissionStatus
+ */
+
+/**
+ * @typedef Deduction
+ * @property {number} points Points deducted
+ * @property {string} reason Reason for deduction
+ * @property {string} [error] Associated error message
+ * @property {string|null} [section] ID of the rubric section it was recorded in
+ * @property {string|null} [testCase] ID of the rubric test case it was recorded in
+ */
+
+/**
+ * @typedef ReportEntry
+ * @property {string} submission File name of the submission
+ * @property {string|null} canvasId Canvas ID of the student, if it could be parsed
+ * @property {string} author Author from the submission's package.json
+ * @property {number|null} score Final score, null if grading did not finish
+ * @property {SubmissionStatus} status Outcome of grading
+ * @property {Deduction[]} deductions Every individual deduction
+ * @property {string} comments Comment text as it would be uploaded
+ * @property {string|null} error Error that stopped grading, if any
+ * @property {string[]} [screenshots] Screenshots of failed browser assertions
+ * @property {string[]} [flags] Reasons the grader flagged the submission for review
+ * @property {string} [output] Console output of the student's code, if `consoleOutput` is 'report'
+ */
+
+const csvColumns = [
+  'submission', 'canvasId', 'author', 'score', 'status', 'deductions', 'error'
+];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (!/[",\r\n]/.test(text)) return text;
+  return `"${text.replaceAll('"', '""')}"`;
+};
+
+/**
+ * Collects the outcome of every submission in a run and writes
+ * it to disk as JSON and/or CSV.
+ */
+export default class Report {
+  constructor() {
+    this.startedAt = new Date();
+    /** @type {ReportEntry[]} */
+    this.submissions = [];
+    /** @type {{ file: string, reason: string }[]} */
+    this.skipped = [];
+  }
+
+  /**
+   * Record the outcome of a submission.
+   * @param {ReportEntry} entry Outcome of grading
+   */
+  add(entry) {
+    this.submissions.push({
+      submission: entry.submission,
+      canvasId: entry.canvasId ?? null,
+      author: entry.author || '',
+      score: entry.score ?? null,
+      status: entry.status,
+      deductions: entry.deductions || [],
+      comments: entry.comments || '',
+      error: entry.error ?? null,
+      screenshots: entry.screenshots || [],
+      flags: entry.flags || [],
+      ...(entry.output !== undefined && { output: entry.output })
+    });
+  }
+
+  /**
+   * Record an entry of the submissions directory that wasn't graded.
+   * @param {string} file Name of the entry
+   * @param {string} reason Why it was skipped
+   */
+  skip(file, reason) {
+    this.skipped.push({ file, reason });
+  }
+
+  toJSON() {
+    return {
+      startedAt: this.startedAt.toISOString(),
+      submissions: this.submissions,
+      skipped: this.skipped
+    };
+  }
+
+  /**
+   * Renders one row per submission. Deductions are joined into a
+   * single cell so the file imports cleanly into a spreadsheet.
+   * @returns {string}
+   */
+  toCSV() {
+    const rows = [csvColumns.join(',')];
+    for (const entry of this.submissions) {
+      rows.push(csvColumns.map(column => csvCell(
+        column === 'deductions'
+          ? entry.deductions.map(d => `-${d.points}: ${d.reason}`).join('\n')
+          : entry[column]
+      )).join(','));
+    }
+    return rows.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Write the report into a directory.
+   * @param {string} directory Directory to write the report files into
+   * @param {('json'|'csv')[]} [formats] Formats to write, default is both
+   * @returns {Promise<string[]>} Paths of the written files
+   */
+  async write(directory, formats = ['json', 'csv']) {
+    await fs.mkdir(directory, { recursive: true });
+    const base = path.join(directory,
+      'report-' + this.startedAt.toISOString().replace(/[:.]/g, '-'));
+    const written = [];
+    for (const format of formats) {
+      const file = `${base}.${format}`;
+      if (format === 'json')
+        await fs.writeFile(file, JSON.stringify(this, null, 2));
+      else if (format === 'csv')
+        await fs.writeFile(file, this.toCSV());
+      else
+        throw new Error(`Unknown report format '${format}'.`);
+      written.push(file);
+    }
+    return written;
+  }
+};
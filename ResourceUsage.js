@@ -0,0 +1,58 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @typedef ResourceUsage
+ * @property {number} memory Resident memory of every process in the group, in megabytes
+ * @property {number} cpuTime CPU time used by the group so far, in seconds
+ */
+
+// USER_HZ, which Linux reports CPU times in
+const TICKS_PER_SECOND = 100;
+
+/**
+ * Reads one process's entry in /proc if it belongs to a group.
+ * @param {string} pid Process ID
+ * @param {number} group Process group ID
+ * @returns {Promise<{ ticks: number, memory: number }|null>}
+ */
+const readProcess = async (pid, group) => {
+  try {
+    const stat = await fs.readFile(path.join('/proc', pid, 'stat'), { encoding: 'utf8' });
+    // The command name may contain spaces, so fields are counted after it
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    if (Number(fields[2]) !== group) return null;
+    const status = await fs.readFile(path.join('/proc', pid, 'status'), { encoding: 'utf8' });
+    const rss = /^VmRSS:\s+(\d+) kB/m.exec(status);
+    return {
+      ticks: fields.slice(11, 15).reduce((sum, field) => sum + Number(field), 0),
+      memory: rss ? Number(rss[1]) / 1024 : 0
+    };
+  } catch {
+    // The process exited while it was being read
+    return null;
+  }
+};
+
+/**
+ * Measures the combined memory and CPU time of a process group.
+ * Only supported on Linux.
+ * @param {number} group Process group ID, the PID of a detached process
+ * @returns {Promise<ResourceUsage|null>} Usage, or null if it can't be measured here
+ */
+export const processGroupUsage = async (group) => {
+  let pids;
+  try {
+    pids = (await fs.readdir('/proc')).filter(name => /^\d+$/.test(name));
+  } catch {
+    return null;
+  }
+  const usage = { memory: 0, cpuTime: 0 };
+  for (const pid of pids) {
+    const info = await readProcess(pid, group);
+    if (!info) continue;
+    usage.memory += info.memory;
+    usage.cpuTime += info.ticks / TICKS_PER_SECOND;
+  }
+  return usage;
+};
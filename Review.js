@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import { createInterface } from 'readline';
+import * as c from './ColorUtils.js';
+
+/**
+ * @typedef ReviewConfig
+ * @property {string} [file] File the review queue is saved to. Default is 'review.json'.
+ * @property {boolean} [interactive] Review the queue in the terminal before uploading. Default is true when run in a terminal.
+ * @property {boolean} [crashed] Queue submissions that couldn't be graded or timed out. Default is true.
+ * @property {boolean} [zeroScores] Queue submissions that scored zero. Default is true.
+ */
+
+/**
+ * A submission held back from upload until an instructor approves it
+ * @typedef ReviewItem
+ * @property {string} submission File name of the submission
+ * @property {string|null} canvasId Canvas ID of the student, if it could be parsed
+ * @property {string} author Author from the submission's package.json
+ * @property {number|null} score Score the grader gave, null if grading did not finish
+ * @property {string} comments Comments the grader wrote
+ * @property {string|null} error Error that stopped grading, if any
+ * @property {string[]} reasons Why the submission needs review
+ * @property {'pending'|'approved'|'uploaded'} state Where the submission is in the review
+ * @property {number|null} finalScore Score set by the instructor, null to keep `score`
+ * @property {string} instructorComment Comment added by the instructor
+ */
+
+const itemKey = item => item.canvasId ?? item.submission;
+
+/**
+ * Why a graded submission needs review, if it does.
+ * @param {import('./Report.js').ReportEntry} entry Outcome of grading
+ * @param {ReviewConfig} config Review configuration
+ * @returns {string[]}
+ */
+export const reviewReasons = (entry, config) => {
+  const reasons = [];
+  if ((config.crashed ?? true) && ['crashed', 'fatal'].includes(entry.status))
+    reasons.push(`Grading ${entry.status}: ${entry.error}`);
+  if ((config.crashed ?? true) && entry.status === 'timedOut')
+    reasons.push('Grading timed out.');
+  if ((config.zeroScores ?? true) && entry.score === 0)
+    reasons.push('Scored zero.');
+  reasons.push(...(entry.flags || []));
+  return reasons;
+};
+
+/**
+ * Reads a saved review queue.
+ * @param {string} file Path of the queue
+ * @param {boolean} [allowMissing] Return an empty queue if the file doesn't exist
+ * @returns {Promise<ReviewItem[]>}
+ */
+export const loadQueue = async (file, allowMissing = false) => {
+  try {
+    return JSON.parse(await fs.readFile(file, { encoding: 'utf8' }));
+  } catch (e) {
+    if (allowMissing && e.code === 'ENOENT') return [];
+    throw new Error(`Couldn't read review queue '${file}'.`);
+  }
+};
+
+/**
+ * @param {string} file Path of the queue
+ * @param {ReviewItem[]} items Queue to save
+ */
+export const saveQueue = async (file, items) => {
+  await fs.writeFile(file, JSON.stringify(items, null, 2));
+};
+
+/**
+ * Adds the submissions of a run that need review to the saved queue,
+ * replacing earlier items of the same students.
+ * @param {string} file Path of the queue
+ * @param {import('./Report.js').ReportEntry[]} entries Outcome of every graded submission
+ * @param {ReviewConfig} config Review configuration
+ * @returns {Promise<{ queue: ReviewItem[], added: ReviewItem[] }>} The whole queue, and the items added to it
+ */
+export const queueForReview = async (file, entries, config) => {
+  const added = entries.map(entry => ({
+    submission: entry.submission,
+    canvasId: entry.canvasId,
+    author: entry.author,
+    score: entry.score,
+    comments: entry.comments,
+    error: entry.error,
+    reasons: reviewReasons(entry, config),
+    state: 'pending',
+    finalScore: null,
+    instructorComment: ''
+  })).filter(item => item.reasons.length);
+  const keys = new Set(added.map(itemKey));
+  const queue = (await loadQueue(file, true)).filter(item => !keys.has(itemKey(item)));
+  queue.push(...added);
+  await saveQueue(file, queue);
+  return { queue, added };
+};
+
+/**
+ * Comments to upload for a reviewed submission.
+ * @param {ReviewItem} item Approved item
+ * @returns {string}
+ */
+export const reviewedComments = item => [item.comments, item.instructorComment]
+  .filter(Boolean).join('\n');
+
+/**
+ * Walks through every pending item in the terminal, letting the instructor
+ * override the score, add a comment and approve it. The queue is saved
+ * after every decision.
+ * @param {ReviewItem[]} queue Review queue
+ * @param {number} totalPoints Points the assignment is worth
+ * @param {() => Promise<void>} save Saves the queue
+ * @returns {Promise<void>}
+ */
+export const reviewInteractively = async (queue, totalPoints, save) => {
+  const pending = queue.filter(item => item.state === 'pending');
+  if (!pending.length) return;
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  // Lines are buffered by the iterator, so piped answers aren't lost
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    process.stdout.write(question);
+    const { value, done } = await lines.next();
+    return done ? null : value.trim();
+  };
+  try {
+    console.log(`${c.info(pending.length)} submission(s) need review before upload.`);
+    for (const [i, item] of pending.entries()) {
+      console.log(c.warning('------------------------------'));
+      console.log(`[${i + 1}/${pending.length}] ${c.info(item.author || item.submission)} (${item.submission})`);
+      for (const reason of item.reasons)
+        console.log(c.warning(`  ${reason}`));
+      console.log(`Score: ${item.score === null ? 'none' : `${item.score}/${totalPoints}`}`);
+      if (item.comments) console.log(c.error(item.comments));
+      if (!item.canvasId) console.log(c.warning("No Canvas ID, this grade can't be uploaded."));
+      let score = item.finalScore ?? item.score;
+      let answer;
+      while ((answer = await ask(`Score [${score ?? ''}]: `)) !== null) {
+        if (!answer && score !== null) break;
+        if (answer && Number.isFinite(Number(answer))) {
+          score = Number(answer);
+          break;
+        }
+        console.log(c.error('Enter a number.'));
+      }
+      const comment = answer !== null && await ask(`Instructor comment [${item.instructorComment}]: `);
+      const decision = comment !== null && await ask('Approve? (y)es, (n)o, (q)uit [y]: ');
+      // The input ended, leave the rest for later
+      if (answer === null || comment === null || decision === null || decision.toLowerCase() === 'q') {
+        console.log();
+        break;
+      }
+      item.finalScore = score === item.score ? null : score;
+      if (comment) item.instructorComment = comment;
+      if (decision.toLowerCase() !== 'n') item.state = 'approved';
+      await save();
+    }
+  } finally {
+    rl.close();
+  }
+};
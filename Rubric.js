@@ -0,0 +1,228 @@
+/**
+ * @typedef Section
+ * @property {string} id Unique ID of the section
+ * @property {string} title Name shown to students
+ * @property {number} points Most points that can be lost in the section
+ */
+
+/**
+ * @typedef TestCase
+ * @property {string} id Unique ID of the test case
+ * @property {string|null} section ID of the section the test case belongs to
+ * @property {string} title Name shown to students
+ * @property {number} points Most points that can be lost in the test case
+ */
+
+/**
+ * @typedef RubricResult
+ * @property {'deduction'|'bonus'|'note'} kind Type of result
+ * @property {number} points Points actually applied after caps
+ * @property {number} requested Points the assertion asked to deduct or award
+ * @property {string} reason Reason for the result
+ * @property {string} [error] Associated error message
+ * @property {string|null} section ID of the section it was recorded in
+ * @property {string|null} testCase ID of the test case it was recorded in
+ * @property {Comparison} [comparison] Values that were compared, if the deduction is for a mismatch
+ */
+
+/**
+ * @typedef Comparison
+ * @property {string} received Received value as pretty JSON
+ * @property {string} expected Expected value as pretty JSON
+ * @property {string[]} [differences] Paths at which the values differ, if the error already lists them
+ */
+
+/**
+ * Tracks the point structure of an assignment and every result
+ * recorded while grading it.
+ */
+export default class Rubric {
+  /**
+   * @param {number} [totalPoints] Points the assignment is worth, default is 100
+   * @param {number} [maxBonus] Most bonus points that can be awarded, default is no limit
+   */
+  constructor(totalPoints = 100, maxBonus = Infinity) {
+    this.totalPoints = totalPoints;
+    this.maxBonus = maxBonus;
+    /** @type {Map<string, Section>} */
+    this.sections = new Map();
+    /** @type {Map<string, TestCase>} */
+    this.testCases = new Map();
+    /** @type {RubricResult[]} */
+    this.results = [];
+  }
+
+  /**
+   * Register a section. Registering an existing ID updates it.
+   * @param {string} id Unique ID of the section
+   * @param {string} [title] Name shown to students, default is the ID
+   * @param {number} [points] Most points that can be lost in the section, default is no limit
+   * @returns {Section}
+   */
+  addSection(id, title, points = Infinity) {
+    const section = { id, title: title || id, points };
+    this.sections.set(id, section);
+    return section;
+  }
+
+  /**
+   * Register a test case. Registering an existing ID updates it.
+   * @param {string} id Unique ID of the test case
+   * @param {string|null} [section] ID of the section it belongs to
+   * @param {string} [title] Name shown to students, default is the ID
+   * @param {number} [points] Most points that can be lost in the test case, default is no limit
+   * @returns {TestCase}
+   */
+  addTestCase(id, section = null, title, points = Infinity) {
+    if (section !== null && !this.sections.has(section))
+      throw new Error(`Unknown rubric section '${section}'.`);
+    const testCase = { id, section, title: title || id, points };
+    this.testCases.set(id, testCase);
+    return testCase;
+  }
+
+  /**
+   * Points already deducted from results matching a filter.
+   * @param {(result: RubricResult) => boolean} filter
+   * @returns {number}
+   */
+  deducted(filter) {
+    return this.results
+      .filter(result => result.kind === 'deduction' && filter(result))
+      .reduce((sum, result) => sum + result.points, 0);
+  }
+
+  /**
+   * Record a deduction, capped so that neither its test case nor its
+   * section can lose more than they are worth.
+   * @param {number} points Points to deduct
+   * @param {string} reason Reason for deduction
+   * @param {string} [error] Associated error message
+   * @param {string|null} [section] ID of the section to record it in
+   * @param {string|null} [testCase] ID of the test case to record it in
+   * @param {Comparison} [comparison] Values that were compared
+   * @returns {RubricResult}
+   */
+  deduct(points, reason, error, section = null, testCase = null, comparison) {
+    let applied = points;
+    const caseInfo = testCase !== null ? this.testCases.get(testCase) : null;
+    if (caseInfo) {
+      section = caseInfo.section;
+      applied = Math.min(applied,
+        caseInfo.points - this.deducted(r => r.testCase === testCase));
+    }
+    const sectionInfo = section !== null ? this.sections.get(section) : null;
+    if (sectionInfo) {
+      applied = Math.min(applied,
+        sectionInfo.points - this.deducted(r => r.section === section));
+    }
+    const result = {
+      kind: 'deduction',
+      points: Math.max(applied, 0),
+      requested: points,
+      reason,
+      error,
+      section,
+      testCase
+    };
+    // Only needed to render feedback, kept out of reports
+    if (comparison)
+      Object.defineProperty(result, 'comparison', { value: comparison });
+    this.results.push(result);
+    return result;
+  }
+
+  /**
+   * Award bonus points, capped at `maxBonus` in total.
+   * @param {number} points Points to award
+   * @param {string} reason Reason for the bonus
+   * @param {string|null} [section] ID of the section to record it in
+   * @returns {RubricResult}
+   */
+  bonus(points, reason, section = null) {
+    const awarded = this.results
+      .filter(result => result.kind === 'bonus')
+      .reduce((sum, result) => sum + result.points, 0);
+    const result = {
+      kind: 'bonus',
+      points: Math.max(Math.min(points, this.maxBonus - awarded), 0),
+      requested: points,
+      reason,
+      section,
+      testCase: null
+    };
+    this.results.push(result);
+    return result;
+  }
+
+  /**
+   * Record a comment that doesn't affect the score.
+   * @param {string} text Comment text
+   * @returns {RubricResult}
+   */
+  note(text) {
+    const result = {
+      kind: 'note',
+      points: 0,
+      requested: 0,
+      reason: text,
+      section: null,
+      testCase: null
+    };
+    this.results.push(result);
+    return result;
+  }
+
+  /**
+   * All recorded deductions.
+   * @returns {RubricResult[]}
+   */
+  get deductions() {
+    return this.results.filter(result => result.kind === 'deduction');
+  }
+
+  /**
+   * Final score, never below zero.
+   * @returns {number}
+   */
+  get score() {
+    let score = this.totalPoints;
+    for (const result of this.results) {
+      if (result.kind === 'deduction') score -= result.points;
+      else if (result.kind === 'bonus') score += result.points;
+    }
+    return Math.max(score, 0);
+  }
+
+  /**
+   * Points earned in each section.
+   * @returns {{ section: Section, earned: number }[]}
+   */
+  sectionScores() {
+    return [...this.sections.values()].map(section => ({
+      section,
+      earned: section.points - this.deducted(r => r.section === section.id)
+    }));
+  }
+
+  /**
+   * Renders the results as comment lines.
+   * @returns {string[]}
+   */
+  render() {
+    const lines = this.results.map(result => {
+      if (result.kind === 'note') return result.reason;
+      const sign = result.kind === 'bonus' ? '+' : '-';
+      return `${sign}${result.points}; ${result.reason}`
+        + (result.error ? '\n' + result.error : '');
+    });
+    const finite = this.sectionScores()
+      .filter(({ section }) => Number.isFinite(section.points));
+    if (finite.length) {
+      lines.push('Section scores:');
+      for (const { section, earned } of finite)
+        lines.push(`- ${section.title}: ${earned}/${section.points}`);
+    }
+    return lines;
+  }
+};
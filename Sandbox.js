@@ -0,0 +1,261 @@
+import { Worker } from 'worker_threads';
+import { ObjectId } from 'mongodb';
+import OutputCapture, { rawConsole } from './ConsoleCapture.js';
+import { FatalGraderError } from './Utils.js';
+import { keyPath as propertyPath } from './Matchers.js';
+
+const ERROR_TYPES = {
+  Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError
+};
+
+/**
+ * Converts a value into something that survives the structured clone
+ * algorithm. ObjectIds are tagged so they can be revived on the other
+ * side, functions are dropped. Maps and Sets are kept, other class
+ * instances become plain objects.
+ * @param {*} value Value to encode
+ * @returns {*}
+ */
+export const encode = (value, seen = new Set()) => {
+  if (value === null || typeof value !== 'object') {
+    if (typeof value === 'function' || typeof value === 'symbol')
+      return undefined;
+    return value;
+  }
+  if (value._bsontype === 'ObjectId')
+    return { __sandboxType: 'ObjectId', hex: value.toHexString() };
+  if (value instanceof Date || value instanceof RegExp)
+    return value;
+  if (seen.has(value)) return undefined;
+  seen.add(value);
+  let encoded;
+  if (value instanceof Map) {
+    encoded = new Map([...value].map(([key, item]) => [encode(key, seen), encode(item, seen)]));
+  } else if (value instanceof Set) {
+    encoded = new Set([...value].map(item => encode(item, seen)));
+  } else if (Array.isArray(value)) {
+    encoded = value.map(item => encode(item, seen));
+  } else {
+    encoded = {};
+    for (const [key, item] of Object.entries(value))
+      encoded[key] = encode(item, seen);
+  }
+  seen.delete(value);
+  return encoded;
+};
+
+/**
+ * Reverses `encode()`.
+ * @param {*} value Value to decode
+ * @returns {*}
+ */
+export const decode = (value) => {
+  if (value === null || typeof value !== 'object'
+    || value instanceof Date || value instanceof RegExp)
+    return value;
+  if (value instanceof ObjectId) return value;
+  if (value.__sandboxType === 'ObjectId')
+    return new ObjectId(value.hex);
+  if (value instanceof Map)
+    return new Map([...value].map(([key, item]) => [decode(key), decode(item)]));
+  if (value instanceof Set)
+    return new Set([...value].map(decode));
+  if (Array.isArray(value))
+    return value.map(decode);
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, decode(item)])
+  );
+};
+
+/**
+ * Path of the first function inside a value, which can't be sent to
+ * the worker.
+ * @param {*} value Value to search
+ * @param {string} path Path of the value
+ * @returns {string|null}
+ */
+const findFunction = (value, path, seen = new Set()) => {
+  if (typeof value === 'function') return path;
+  if (value === null || typeof value !== 'object' || seen.has(value)) return null;
+  seen.add(value);
+  const entries = Array.isArray(value) || value instanceof Map || value instanceof Set
+    ? [...value.values()].map((item, i) => [`${path}[${i}]`, item])
+    : Object.entries(value).map(([key, item]) => [propertyPath(path, key), item]);
+  for (const [itemPath, item] of entries) {
+    const found = findFunction(item, itemPath, seen);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Converts a thrown value into a cloneable description.
+ * @param {*} e Thrown value
+ * @returns {object}
+ */
+export const encodeError = (e) => {
+  if (typeof e === 'string')
+    return { kind: 'string', value: e };
+  if (e instanceof Error || (e && typeof e.message === 'string'))
+    return { kind: 'error', name: e.name, message: e.message, stack: e.stack };
+  return { kind: 'value', value: encode(e) };
+};
+
+/**
+ * Rebuilds a thrown value from `encodeError()` so that `typeof`,
+ * `instanceof` and `message` checks behave as if it was thrown locally.
+ * @param {object} description Output of `encodeError()`
+ * @returns {*}
+ */
+export const decodeError = (description) => {
+  if (description.kind === 'string') return description.value;
+  if (description.kind === 'value') return decode(description.value);
+  const ErrorType = ERROR_TYPES[description.name] || Error;
+  const e = new ErrorType(description.message);
+  if (e.name !== description.name) e.name = description.name;
+  if (description.stack) e.stack = description.stack;
+  return e;
+};
+
+/**
+ * Runs student modules inside a worker thread. Modules are described
+ * to the grader by their shape, and every exported function is replaced
+ * by an async stub that executes the real function in the worker.
+ */
+export default class Sandbox {
+  /**
+   * @param {import('worker_threads').ResourceLimits} [resourceLimits] Limits for the worker
+   */
+  constructor(resourceLimits) {
+    this.resourceLimits = resourceLimits;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 0;
+    /**
+     * Receives console output the worker writes outside of any request,
+     * such as from timers that outlive a call.
+     * @type {OutputCapture|null}
+     */
+    this.capture = null;
+  }
+
+  /**
+   * Starts the worker if it isn't running already.
+   * @returns {Worker}
+   */
+  ensureWorker() {
+    if (this.worker) return this.worker;
+    const worker = new Worker(new URL('./SandboxWorker.js', import.meta.url), {
+      resourceLimits: this.resourceLimits
+    });
+    worker.on('message', ({ id, result, error, output }) => {
+      const pending = this.pending.get(id);
+      if (output) {
+        const capture = pending?.capture ?? this.capture;
+        if (capture) capture.write(output.stream, output.text);
+        else rawConsole[output.stream === 'stderr' ? 'error' : 'log'](output.text);
+        return;
+      }
+      if (!pending) return;
+      this.pending.delete(id);
+      if (error) pending.reject(decodeError(error));
+      else pending.resolve(decode(result));
+    });
+    worker.on('error', (e) => this.rejectAll(e.code === 'ERR_WORKER_OUT_OF_MEMORY'
+      ? new Error(`Resource limit exceeded: student code used more than ${this.resourceLimits?.maxOldGenerationSizeMb}MB of memory.`)
+      : e));
+    worker.on('exit', (code) => {
+      if (this.worker === worker) this.worker = null;
+      this.rejectAll(new Error(`Student code ended the isolated process (exit code ${code}).`));
+    });
+    this.worker = worker;
+    return worker;
+  }
+
+  /**
+   * Rejects every request that is still waiting on the worker.
+   * @param {*} e Rejection reason
+   */
+  rejectAll(e) {
+    for (const { reject } of this.pending.values())
+      reject(e);
+    this.pending.clear();
+  }
+
+  /**
+   * Sends a request to the worker and waits for its reply.
+   * @param {object} message Request to send
+   * @returns {Promise<*>}
+   */
+  send(message) {
+    const worker = this.ensureWorker();
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      // Output is written to the capture of whoever made the request
+      this.pending.set(id, { resolve, reject, capture: OutputCapture.current() });
+      try {
+        worker.postMessage({ ...message, id });
+      } catch (e) {
+        this.pending.delete(id);
+        reject(e);
+      }
+    });
+  }
+
+  /**
+   * Calls an exported function inside the worker.
+   * @param {string} url File URL of the module
+   * @param {string[]} keyPath Property path to the function
+   * @param {any[]} args Arguments to call the function with
+   * @returns {Promise<*>}
+   */
+  call(url, keyPath, args) {
+    // Otherwise the student's code would fail on an undefined callback
+    const found = args.map((arg, i) => findFunction(arg, `argument ${i + 1}`)).find(Boolean);
+    if (found) {
+      return Promise.reject(new FatalGraderError(`${keyPath.join('.')} was passed a function (${found}).`
+        + ' Functions can\'t be passed to isolated student code, turn off `isolate` to test callbacks.'));
+    }
+    return this.send({ type: 'call', url, keyPath, args: encode(args) });
+  }
+
+  /**
+   * Imports a module inside the worker and builds a local stand-in for it.
+   * @param {string} url File URL of the module
+   * @returns {Promise<*>}
+   */
+  async import(url) {
+    const shape = await this.send({ type: 'import', url });
+    const build = (shape, keyPath) => {
+      if (shape.type === 'function')
+        return (...args) => this.call(url, keyPath, args);
+      if (shape.type === 'class') {
+        const name = keyPath.join('.') || 'The default export';
+        // A regular function, so `new` reaches the error too. Only the
+        // test case fails, since it depends on the student's code.
+        return function () {
+          throw new Error(`${name} is a class. Classes can't be constructed in isolated`
+            + ' student code, turn off `isolate` to test them.');
+        };
+      }
+      if (shape.type === 'object')
+        return Object.fromEntries(Object.entries(shape.entries).map(
+          ([key, entry]) => [key, build(entry, [...keyPath, key])]
+        ));
+      return shape.value;
+    };
+    return build(shape, []);
+  }
+
+  /**
+   * Stops the worker. Any stand-ins created earlier keep working, the
+   * next call starts a fresh worker and imports the module again.
+   */
+  async terminate() {
+    const worker = this.worker;
+    if (!worker) return;
+    this.worker = null;
+    this.rejectAll(new Error('Isolated process was terminated.'));
+    await worker.terminate();
+  }
+};
@@ -0,0 +1,70 @@
+import { parentPort } from 'worker_threads';
+import { AsyncLocalStorage } from 'async_hooks';
+import { format } from 'util';
+import { encode, decode, encodeError } from './Sandbox.js';
+import { CONSOLE_METHODS, streamOf } from './ConsoleCapture.js';
+
+const modules = new Map();
+// ID of the request whose code is running, so the grader can attribute output
+const requests = new AsyncLocalStorage();
+
+// Messages arrive in order, so output always precedes the result it belongs to
+for (const method of CONSOLE_METHODS) {
+  console[method] = (...args) => parentPort.postMessage({
+    id: requests.getStore(),
+    output: { stream: streamOf(method), text: format(...args) }
+  });
+}
+
+const load = async (url) => {
+  if (!modules.has(url)) {
+    const file = await import(url);
+    modules.set(url, file.default ? file.default : file);
+  }
+  return modules.get(url);
+};
+
+/**
+ * Describes a module export so the grader can build a stand-in for it.
+ * Objects are only described key by key if they contain functions,
+ * anything else is sent over as a plain value.
+ */
+const describe = (value, seen = new Set()) => {
+  if (typeof value === 'function')
+    return { type: /^class\b/.test(Function.prototype.toString.call(value)) ? 'class' : 'function' };
+  if (value && typeof value === 'object' && !Array.isArray(value)
+    && !seen.has(value) && value._bsontype === undefined) {
+    seen.add(value);
+    const entries = {};
+    let hasFunctions = false;
+    for (const key of Object.keys(value)) {
+      entries[key] = describe(value[key], seen);
+      if (entries[key].type !== 'value') hasFunctions = true;
+    }
+    seen.delete(value);
+    if (hasFunctions) return { type: 'object', entries };
+  }
+  return { type: 'value', value: encode(value) };
+};
+
+const handle = async (id, { type, url, keyPath, args }) => {
+  try {
+    const file = await load(url);
+    if (type === 'import') {
+      parentPort.postMessage({ id, result: describe(file) });
+      return;
+    }
+    let parent = null;
+    let target = file;
+    for (const key of keyPath) {
+      parent = target;
+      target = target[key];
+    }
+    const result = await target.apply(parent, decode(args));
+    parentPort.postMessage({ id, result: encode(result) });
+  } catch (e) {
+    parentPort.postMessage({ id, error: encodeError(e) });
+  }
+};
+
+parentPort.on('message', ({ id, ...request }) => requests.run(id, () => handle(id, request)));
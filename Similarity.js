@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { glob } from 'glob';
+import { tokenizer } from 'acorn';
+
+/**
+ * @typedef SimilarityConfig
+ * @property {string} [output] File to write the ranked report to. Default is 'similarity.json'.
+ * @property {string} [baseline] Directory with instructor-provided starter code to ignore.
+ * @property {number} [threshold] Fraction of the smaller submission that must match to be reported. Default is 0.5.
+ * @property {number} [minMatches] Fewest shared fingerprints needed to report a pair. Default is 10.
+ * @property {number} [commonFraction] Ignore fingerprints found in more than this fraction of submissions. Default is 0.5.
+ * @property {number} [kgram] Number of tokens per fingerprint. Default is 12.
+ * @property {number} [window] Winnowing window size. Default is 8.
+ * @property {string[]} [patterns] Glob patterns of files to compare. Default is JavaScript, Handlebars and HTML files.
+ * @property {string[]} [ignore] Glob patterns of files to skip, in addition to node_modules.
+ */
+
+/**
+ * @typedef Fingerprint
+ * @property {number} hash Hash of the k-gram
+ * @property {string} file File path relative to the submission root
+ * @property {number} startLine First line of the k-gram
+ * @property {number} endLine Last line of the k-gram
+ */
+
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+/**
+ * Tokenizes JavaScript so that renamed variables and changed literals
+ * still produce the same token stream.
+ * @param {string} source Source code
+ * @returns {{ text: string, line: number }[]}
+ */
+const tokenizeJS = (source) => {
+  const tokens = [];
+  for (const token of tokenizer(source, {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    locations: true
+  })) {
+    const { label, keyword } = token.type;
+    let text = label;
+    if (label === 'name' || label === 'privateId') text = 'V';
+    else if (['string', 'num', 'regexp', 'template', 'bigint'].includes(label)) text = 'L';
+    else if (keyword) text = keyword;
+    tokens.push({ text, line: token.loc.start.line });
+  }
+  return tokens;
+};
+
+/**
+ * Tokenizes markup and anything that fails to parse as JavaScript.
+ * Words are kept since the text of a template is meaningful.
+ * @param {string} source Source text
+ * @returns {{ text: string, line: number }[]}
+ */
+const tokenizeText = (source) => {
+  const tokens = [];
+  const lines = source.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    for (const [text] of lines[i].matchAll(/[A-Za-z_$][\w$-]*|\d+|\S/g))
+      tokens.push({ text: text.toLowerCase(), line: i + 1 });
+  }
+  return tokens;
+};
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Compares the source of every submission and reports pairs that are
+ * suspiciously similar. Uses k-gram fingerprints selected by winnowing.
+ */
+export default class Similarity {
+  /**
+   * @param {SimilarityConfig} [config] Similarity configuration
+   */
+  constructor(config = {}) {
+    this.output = config.output || 'similarity.json';
+    this.baseline = config.baseline;
+    this.threshold = config.threshold ?? 0.5;
+    this.minMatches = config.minMatches ?? 10;
+    this.commonFraction = config.commonFraction ?? 0.5;
+    this.kgram = config.kgram || 12;
+    this.window = config.window || 8;
+    this.patterns = config.patterns || ['**/*.{js,mjs,cjs,handlebars,hbs,html}'];
+    this.ignore = ['**/node_modules/**', '**/__MACOSX/**', ...(config.ignore || [])];
+    this.baselineHashes = null;
+    /** @type {{ name: string, author: string, fingerprints: Map<number, Fingerprint[]> }[]} */
+    this.submissions = [];
+  }
+
+  /**
+   * Fingerprints every matching file in a directory.
+   * @param {string} directory Root directory of the code
+   * @returns {Promise<Map<number, Fingerprint[]>>} Fingerprints grouped by hash
+   */
+  async fingerprint(directory) {
+    const fingerprints = new Map();
+    const files = await glob(this.patterns, {
+      cwd: directory,
+      ignore: this.ignore,
+      nodir: true
+    });
+    for (const file of files.sort()) {
+      const source = await fs.readFile(path.join(directory, file), { encoding: 'utf8' });
+      let tokens;
+      try {
+        tokens = JS_EXTENSIONS.includes(path.extname(file))
+          ? tokenizeJS(source)
+          : tokenizeText(source);
+      } catch {
+        tokens = tokenizeText(source);
+      }
+      const grams = [];
+      for (let i = 0; i + this.kgram <= tokens.length; i++) {
+        grams.push({
+          hash: hash(tokens.slice(i, i + this.kgram).map(t => t.text).join(' ')),
+          startLine: tokens[i].line,
+          endLine: tokens[i + this.kgram - 1].line
+        });
+      }
+      // Winnowing: keep the smallest hash of every window
+      let selected = -1;
+      for (let start = 0; start + this.window <= Math.max(grams.length, this.window); start++) {
+        const windowGrams = grams.slice(start, start + this.window);
+        if (!windowGrams.length) break;
+        let min = 0;
+        for (let i = 1; i < windowGrams.length; i++)
+          if (windowGrams[i].hash <= windowGrams[min].hash) min = i;
+        if (start + min === selected) continue;
+        selected = start + min;
+        const gram = windowGrams[min];
+        if (!fingerprints.has(gram.hash)) fingerprints.set(gram.hash, []);
+        fingerprints.get(gram.hash).push({ ...gram, file });
+      }
+    }
+    return fingerprints;
+  }
+
+  /**
+   * Fingerprint a submission and add it to the comparison.
+   * @param {string} name Name of the submission
+   * @param {string} author Author of the submission
+   * @param {string} directory Directory the submission was extracted to
+   */
+  async addSubmission(name, author, directory) {
+    if (this.baseline && !this.baselineHashes)
+      this.baselineHashes = new Set((await this.fingerprint(this.baseline)).keys());
+    const fingerprints = await this.fingerprint(directory);
+    for (const hash of this.baselineHashes || [])
+      fingerprints.delete(hash);
+    this.submissions.push({ name, author, fingerprints });
+  }
+
+  /**
+   * Merges matching fingerprint locations into contiguous regions.
+   * @param {[Fingerprint, Fingerprint][]} matches Matching locations in both submissions
+   * @returns {{ a: object, b: object }[]}
+   */
+  regions(matches) {
+    matches.sort((x, y) => x[0].file.localeCompare(y[0].file)
+      || x[1].file.localeCompare(y[1].file)
+      || x[0].startLine - y[0].startLine);
+    const regions = [];
+    for (const [a, b] of matches) {
+      const last = regions[regions.length - 1];
+      if (last && last.a.file === a.file && last.b.file === b.file
+        && a.startLine <= last.a.endLine + 1) {
+        last.a.endLine = Math.max(last.a.endLine, a.endLine);
+        last.b.startLine = Math.min(last.b.startLine, b.startLine);
+        last.b.endLine = Math.max(last.b.endLine, b.endLine);
+        continue;
+      }
+      regions.push({
+        a: { file: a.file, startLine: a.startLine, endLine: a.endLine },
+        b: { file: b.file, startLine: b.startLine, endLine: b.endLine }
+      });
+    }
+    return regions;
+  }
+
+  /**
+   * Compare every pair of submissions.
+   * @returns {object[]} Suspicious pairs, most similar first
+   */
+  compare() {
+    const owners = new Map();
+    this.submissions.forEach((submission, index) => {
+      for (const hash of submission.fingerprints.keys()) {
+        if (!owners.has(hash)) owners.set(hash, []);
+        owners.get(hash).push(index);
+      }
+    });
+    // Code most of the class shares is likely from lecture or the assignment
+    const maxOwners = Math.max(2, Math.floor(this.submissions.length * this.commonFraction));
+    const shared = new Map();
+    for (const [hash, indices] of owners) {
+      if (indices.length > maxOwners) continue;
+      for (let i = 0; i < indices.length; i++) {
+        for (let j = i + 1; j < indices.length; j++) {
+          const key = `${indices[i]},${indices[j]}`;
+          if (!shared.has(key)) shared.set(key, []);
+          shared.get(key).push(hash);
+        }
+      }
+    }
+    const pairs = [];
+    for (const [key, hashes] of shared) {
+      if (hashes.length < this.minMatches) continue;
+      const [a, b] = key.split(',').map(i => this.submissions[i]);
+      const similarity = hashes.length
+        / Math.min(a.fingerprints.size, b.fingerprints.size);
+      if (similarity < this.threshold) continue;
+      const matches = hashes.flatMap(hash =>
+        a.fingerprints.get(hash).flatMap(locA =>
+          b.fingerprints.get(hash).map(locB => [locA, locB])));
+      pairs.push({
+        a: { submission: a.name, author: a.author },
+        b: { submission: b.name, author: b.author },
+        similarity: Math.round(similarity * 1000) / 1000,
+        sharedFingerprints: hashes.length,
+        regions: this.regions(matches)
+      });
+    }
+    return pairs.sort((x, y) => y.similarity - x.similarity);
+  }
+
+  /**
+   * Compare all submissions and write the ranked report.
+   * @returns {Promise<object[]>} Suspicious pairs, most similar first
+   */
+  async write() {
+    const pairs = this.compare();
+    await fs.mkdir(path.dirname(path.resolve(this.output)), { recursive: true });
+    await fs.writeFile(this.output, JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      submissions: this.submissions.length,
+      threshold: this.threshold,
+      pairs
+    }, null, 2));
+    return pairs;
+  }
+};
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+
+/**
+ * Recorded outcome of a test case. Values are stored in the same
+ * notation `stringify` uses, so ObjectIds appear as `{ oid }`.
+ * @typedef SnapshotEntry
+ * @property {*} [value] Value the test case returned
+ * @property {boolean} [undefined] Whether the test case returned undefined
+ * @property {{ name?: string, message: string, string?: boolean }} [error] Error the test case threw
+ */
+
+/**
+ * @typedef SnapshotChange
+ * @property {'added'|'removed'|'changed'} type Kind of change
+ * @property {string} id Test ID
+ * @property {SnapshotEntry} [before] Previously recorded entry
+ * @property {SnapshotEntry} [after] Newly recorded entry
+ */
+
+/**
+ * Read a snapshot file.
+ * @param {string} file Path to the snapshot
+ * @param {boolean} [optional] Resolve with null instead of failing if the file doesn't exist
+ * @returns {Promise<Object<string, SnapshotEntry>|null>}
+ */
+export const loadSnapshot = async (file, optional) => {
+  let text;
+  try {
+    text = await fs.readFile(file, { encoding: 'utf8' });
+  } catch (e) {
+    if (optional && e.code === 'ENOENT') return null;
+    throw new Error(`Couldn't read snapshot '${file}'. Record it from the reference solution first.`);
+  }
+  return JSON.parse(text).entries;
+};
+
+/**
+ * Write a snapshot file.
+ * @param {string} file Path to the snapshot
+ * @param {Object<string, SnapshotEntry>} entries Recorded entries by test ID
+ */
+export const saveSnapshot = async (file, entries) => {
+  await fs.writeFile(file, JSON.stringify({
+    recordedAt: new Date().toISOString(),
+    entries
+  }, null, 2));
+};
+
+/**
+ * List what changed between two recordings.
+ * @param {Object<string, SnapshotEntry>|null} before Previous entries
+ * @param {Object<string, SnapshotEntry>} after New entries
+ * @returns {SnapshotChange[]}
+ */
+export const diffSnapshots = (before, after) => {
+  before = before || {};
+  const changes = [];
+  for (const [id, entry] of Object.entries(after)) {
+    if (!(id in before))
+      changes.push({ type: 'added', id, after: entry });
+    else if (JSON.stringify(before[id]) !== JSON.stringify(entry))
+      changes.push({ type: 'changed', id, before: before[id], after: entry });
+  }
+  for (const [id, entry] of Object.entries(before)) {
+    if (!(id in after))
+      changes.push({ type: 'removed', id, before: entry });
+  }
+  return changes;
+};
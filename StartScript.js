@@ -0,0 +1,157 @@
+import path from 'path';
+
+/**
+ * @typedef StartCommand
+ * @property {string} command Executable to spawn
+ * @property {string[]} args Arguments to pass to it
+ * @property {Object<string, string>} env Environment variables assigned by the script
+ */
+
+// Anything that would need a shell to run
+const SHELL_SYNTAX = /[;&|<>`$(){}\\\n]/;
+
+// Flags that run code given on the command line instead of a file
+const NODE_EVAL_FLAGS = ['-e', '--eval', '-p', '--print', '-i', '--interactive'];
+
+// Short flags that can be combined, like `-pe`
+const NODE_EVAL_LETTERS = /^-[^-]*[epi]/;
+
+// Node flags that take a value, as the following token or after '='
+const NODE_VALUE_FLAGS = ['-r', '--require', '--import', '--loader', '--experimental-loader', '--env-file'];
+
+const ENV_ASSIGNMENT = /^([A-Za-z_][A-Za-z0-9_]*)=(.*)$/s;
+
+const MAX_DEPTH = 5;
+
+/**
+ * Splits a script into words, honoring single and double quotes.
+ * @param {string} script Script text
+ * @returns {string[]}
+ */
+const tokenize = (script) => {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+  for (const char of script) {
+    if (quote) {
+      if (char === quote) quote = null;
+      else current += char;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      current ??= '';
+    } else if (/\s/.test(char)) {
+      if (current !== null) tokens.push(current);
+      current = null;
+    } else {
+      current = (current ?? '') + char;
+    }
+  }
+  if (quote) throw new Error('Unbalanced quotes');
+  if (current !== null) tokens.push(current);
+  return tokens;
+};
+
+/**
+ * Makes sure a file the script runs stays inside the submission.
+ * @param {string} file File path from the script
+ * @returns {boolean}
+ */
+const isLocalFile = (file) => {
+  // URLs like data: and file: can point anywhere or hold code
+  if (/^[a-z][a-z\d+.-]+:/i.test(file)) return false;
+  const normalized = path.normalize(file);
+  return !path.isAbsolute(normalized)
+    && normalized !== '..'
+    && !normalized.startsWith(`..${path.sep}`);
+};
+
+/**
+ * Checks the leading node flags of an argument list.
+ * @param {string[]} args Arguments given to node
+ * @returns {number|null} Index of the first argument that isn't a flag, or null if a flag is unsafe
+ */
+const checkNodeFlags = (args) => {
+  let i = 0;
+  for (; i < args.length && args[i].startsWith('-'); i++) {
+    const separator = args[i].indexOf('=');
+    const flag = separator === -1 ? args[i] : args[i].slice(0, separator);
+    if (NODE_EVAL_FLAGS.includes(flag) || NODE_EVAL_LETTERS.test(flag)) return null;
+    if (NODE_VALUE_FLAGS.includes(flag)) {
+      const value = separator === -1 ? args[++i] : args[i].slice(separator + 1);
+      if (!isLocalFile(value ?? '')) return null;
+    }
+  }
+  return i;
+};
+
+/**
+ * Turns a package.json start script into a command that can be spawned
+ * without a shell. Only a few common shapes are accepted:
+ * - `node [flags] <file> [args]`
+ * - `nodemon [<file>] [args]`, which is run with plain `node`
+ * - `npm start` and `npm run <script>`, which are resolved from package.json
+ * Each may be preceded by `VAR=value` assignments, optionally after `cross-env`.
+ * `NODE_OPTIONS` may only hold flags that would be accepted after `node`.
+ * @param {string} script Start script to parse
+ * @param {{ main?: string, scripts?: Object<string, string> }} [packageJson] Submission's package.json
+ * @returns {StartCommand}
+ */
+export const parseStartScript = (script, packageJson = {}) => {
+  const unsafe = () => new Error('Possibly unsafe start script encountered: ' + script);
+  const parse = (text, depth) => {
+    if (depth > MAX_DEPTH || typeof text !== 'string' || SHELL_SYNTAX.test(text))
+      throw unsafe();
+    let tokens;
+    try {
+      tokens = tokenize(text.trim());
+    } catch {
+      throw unsafe();
+    }
+    const env = {};
+    if (tokens[0] === 'cross-env') tokens.shift();
+    while (tokens.length && ENV_ASSIGNMENT.test(tokens[0])) {
+      const [, name, value] = ENV_ASSIGNMENT.exec(tokens.shift());
+      if (name === 'NODE_OPTIONS') {
+        let options;
+        try {
+          options = tokenize(value);
+        } catch {
+          throw unsafe();
+        }
+        if (checkNodeFlags(options) !== options.length) throw unsafe();
+      }
+      env[name] = value;
+    }
+    const [program, ...rest] = tokens;
+    if (program === 'node') {
+      const i = checkNodeFlags(rest);
+      if (i === null || i >= rest.length || !isLocalFile(rest[i])) throw unsafe();
+      return { command: 'node', args: rest, env };
+    }
+    if (program === 'nodemon') {
+      // Restarting on changes is of no use while grading
+      const args = rest.filter(arg => !arg.startsWith('-'));
+      if (args.length !== rest.length) throw unsafe();
+      if (!args.length) args.push(packageJson.main || 'index.js');
+      if (!isLocalFile(args[0])) throw unsafe();
+      return { command: 'node', args, env };
+    }
+    if (program === 'npm') {
+      let name;
+      let extra = rest.slice(1);
+      if (rest[0] === 'start') name = 'start';
+      else if (rest[0] === 'run' || rest[0] === 'run-script') [name, ...extra] = extra;
+      else throw unsafe();
+      if (extra.length && extra[0] !== '--') throw unsafe();
+      const target = packageJson.scripts?.[name];
+      // `npm start` falls back to `node server.js` like npm itself does
+      const resolved = target === undefined && name === 'start' ? 'node server.js' : target;
+      if (resolved === undefined) throw unsafe();
+      const command = parse(resolved, depth + 1);
+      command.args.push(...extra.slice(1));
+      return { ...command, env: { ...env, ...command.env } };
+    }
+    throw unsafe();
+  };
+  return parse(script, 0);
+};
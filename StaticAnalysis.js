@@ -0,0 +1,275 @@
+import fs from 'fs/promises';
+import { parse } from 'acorn';
+import { ancestor, full } from 'acorn-walk';
+
+/**
+ * A place in a source file that broke a rule
+ * @typedef Finding
+ * @property {string} name What was found, e.g. `console.log`
+ * @property {number|null} line Line it was found on, null if it isn't on one
+ */
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'all'];
+
+/**
+ * Parses a JavaScript file, falling back to a script if it isn't a module.
+ * @param {string} file Path of the file
+ * @returns {Promise<import('acorn').Program>}
+ */
+export const parseFile = async (file) => {
+  const source = await fs.readFile(file, { encoding: 'utf8' });
+  const options = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+    locations: true
+  };
+  try {
+    return parse(source, { ...options, sourceType: 'module' });
+  } catch (e) {
+    try {
+      return parse(source, { ...options, sourceType: 'script' });
+    } catch {
+      throw e;
+    }
+  }
+};
+
+/**
+ * Dotted path of a member expression like `console.log`. Objects that
+ * aren't names, like `[1, 2].sort`, are shown as `?`.
+ * @param {import('acorn').Node} node Expression
+ * @returns {string|null} The path, or null if the property is computed
+ */
+export const memberPath = (node) => {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type !== 'MemberExpression') return null;
+  const object = memberPath(node.object) ?? '?';
+  if (!node.computed) return `${object}.${node.property.name}`;
+  if (node.property.type === 'Literal') return `${object}.${node.property.value}`;
+  return null;
+};
+
+/**
+ * Whether a dotted path matches a rule. `Array.prototype.sort` matches
+ * any call to a `sort` method, other rules match the path or its end.
+ * @param {string} path Dotted path found in the code
+ * @param {string} rule Dotted path from the rule
+ * @returns {boolean}
+ */
+const pathMatches = (path, rule) => {
+  const prototype = rule.indexOf('.prototype.');
+  if (prototype !== -1) {
+    const method = rule.slice(prototype + '.prototype.'.length);
+    return path === rule || path.endsWith(`.${method}`);
+  }
+  return path === rule || path.endsWith(`.${rule}`);
+};
+
+/**
+ * Names bound by a declaration pattern.
+ * @param {import('acorn').Node} pattern Pattern
+ * @returns {string[]}
+ */
+const patternNames = (pattern) => {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier': return [pattern.name];
+    case 'ObjectPattern': return pattern.properties.flatMap(p => patternNames(p.value ?? p.argument));
+    case 'ArrayPattern': return pattern.elements.flatMap(patternNames);
+    case 'RestElement': return patternNames(pattern.argument);
+    case 'AssignmentPattern': return patternNames(pattern.left);
+    default: return [];
+  }
+};
+
+/**
+ * Every name declared anywhere in a file.
+ * @param {import('acorn').Program} ast Parsed file
+ * @returns {Set<string>}
+ */
+const declaredNames = (ast) => {
+  const names = new Set();
+  full(ast, (node) => {
+    if (node.type === 'VariableDeclarator') patternNames(node.id).forEach(n => names.add(n));
+    else if (FUNCTION_TYPES.includes(node.type)) {
+      if (node.id) names.add(node.id.name);
+      node.params.flatMap(patternNames).forEach(n => names.add(n));
+    } else if (node.type === 'ClassDeclaration' && node.id) names.add(node.id.name);
+    else if (node.type === 'CatchClause') patternNames(node.param).forEach(n => names.add(n));
+    else if (node.type.startsWith('Import') && node.local) names.add(node.local.name);
+  });
+  return names;
+};
+
+/**
+ * Finds uses of global names, such as `eval`, that the file doesn't declare itself.
+ * @param {import('acorn').Program} ast Parsed file
+ * @param {string[]} names Forbidden globals
+ * @returns {Finding[]}
+ */
+export const findGlobals = (ast, names) => {
+  const declared = declaredNames(ast);
+  const findings = [];
+  ancestor(ast, {
+    Identifier(node) {
+      if (names.includes(node.name) && !declared.has(node.name))
+        findings.push({ name: node.name, line: node.loc.start.line });
+    }
+  });
+  return findings;
+};
+
+/**
+ * Finds imports and requires of modules. `fs` also matches `node:fs` and `fs/promises`.
+ * @param {import('acorn').Program} ast Parsed file
+ * @param {string[]} modules Forbidden modules
+ * @returns {Finding[]}
+ */
+export const findModules = (ast, modules) => {
+  const findings = [];
+  const check = (source, node) => {
+    if (typeof source !== 'string') return;
+    const name = source.replace(/^node:/, '');
+    if (modules.some(m => name === m || name.startsWith(`${m}/`)))
+      findings.push({ name: source, line: node.loc.start.line });
+  };
+  full(ast, (node) => {
+    if (['ImportDeclaration', 'ExportNamedDeclaration', 'ExportAllDeclaration'].includes(node.type))
+      check(node.source?.value, node);
+    else if (node.type === 'ImportExpression' && node.source.type === 'Literal')
+      check(node.source.value, node);
+    else if (node.type === 'CallExpression' && node.callee.type === 'Identifier'
+      && node.callee.name === 'require' && node.arguments[0]?.type === 'Literal')
+      check(node.arguments[0].value, node);
+  });
+  return findings;
+};
+
+/**
+ * Finds uses of members such as `console.log` or `Array.prototype.sort`.
+ * @param {import('acorn').Node} ast Parsed file or any node in it
+ * @param {string[]} members Forbidden members as dotted paths
+ * @returns {Finding[]}
+ */
+export const findMembers = (ast, members) => {
+  const findings = [];
+  full(ast, (node) => {
+    if (node.type !== 'MemberExpression') return;
+    const path = memberPath(node);
+    const rule = path && members.find(member => pathMatches(path, member));
+    if (rule) findings.push({ name: path, line: node.loc.start.line });
+  });
+  return findings;
+};
+
+/**
+ * Whether any function called inside a node matches one of the callees.
+ * @param {import('acorn').Node} node Node to search, usually a function
+ * @param {string[]} callees Names or dotted paths of acceptable calls
+ * @returns {boolean}
+ */
+export const callsAny = (node, callees) => {
+  let found = false;
+  full(node, (child) => {
+    if (found || child.type !== 'CallExpression') return;
+    const path = memberPath(child.callee);
+    found = !!path && callees.some(callee => pathMatches(path, callee));
+  });
+  return found;
+};
+
+/**
+ * Whether a node evaluates to a function, following top-level names.
+ * @param {import('acorn').Program} ast Parsed file
+ * @param {import('acorn').Node} node Value node
+ * @returns {boolean}
+ */
+const isFunction = (ast, node) => {
+  if (!node) return false;
+  if (FUNCTION_TYPES.includes(node.type)) return true;
+  if (node.type === 'Identifier') return isFunction(ast, findFunction(ast, node.name));
+  return false;
+};
+
+/**
+ * Finds a function by name: a declaration, a variable holding a
+ * function, or an object method.
+ * @param {import('acorn').Program} ast Parsed file
+ * @param {string} name Function name
+ * @returns {import('acorn').Node|null} The function node
+ */
+export const findFunction = (ast, name) => {
+  let found = null;
+  full(ast, (node) => {
+    if (found) return;
+    if (node.type === 'FunctionDeclaration' && node.id?.name === name) found = node;
+    else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier'
+      && node.id.name === name && FUNCTION_TYPES.includes(node.init?.type)) found = node.init;
+    else if ((node.type === 'Property' || node.type === 'MethodDefinition')
+      && !node.computed && (node.key.name ?? node.key.value) === name
+      && FUNCTION_TYPES.includes(node.value?.type)) found = node.value;
+  });
+  return found;
+};
+
+/**
+ * Whether a file exports a function under a name. Properties of a default
+ * exported object count as exports too, since `importFile` unwraps them.
+ * @param {import('acorn').Program} ast Parsed file
+ * @param {string} name Export name, 'default' for the default export
+ * @returns {'function'|'other'|null} What is exported, null if nothing
+ */
+export const findExport = (ast, name) => {
+  const kind = node => isFunction(ast, node) ? 'function' : 'other';
+  for (const node of ast.body) {
+    if (node.type === 'ExportNamedDeclaration') {
+      const declaration = node.declaration;
+      if (declaration?.type === 'FunctionDeclaration' && declaration.id.name === name)
+        return 'function';
+      if (declaration?.type === 'VariableDeclaration') {
+        const declarator = declaration.declarations.find(d => d.id.name === name);
+        if (declarator) return kind(declarator.init);
+      }
+      const specifier = node.specifiers.find(s => (s.exported.name ?? s.exported.value) === name);
+      if (specifier) return node.source ? 'other' : kind(specifier.local);
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      if (name === 'default') return kind(node.declaration);
+      if (node.declaration.type === 'ObjectExpression') {
+        const property = node.declaration.properties.find(p =>
+          p.type === 'Property' && !p.computed && (p.key.name ?? p.key.value) === name);
+        if (property) return kind(property.value);
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds Express route handlers, the last function passed to calls like
+ * `router.post('/path', ...)` or `router.route('/path').get(...)`.
+ * @param {import('acorn').Program} ast Parsed file
+ * @param {string[]} [methods] Route methods to include, default is all
+ * @returns {{ route: string, line: number, handler: import('acorn').Node }[]}
+ */
+export const findRouteHandlers = (ast, methods = ROUTE_METHODS) => {
+  const routes = [];
+  full(ast, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression'
+      || node.callee.computed) return;
+    const method = node.callee.property.name;
+    if (!methods.includes(method)) return;
+    const handler = node.arguments.at(-1);
+    if (!handler || !FUNCTION_TYPES.includes(handler.type)) return;
+    // router.route('/path').get(...) keeps the path on the inner call
+    const pathNode = node.arguments.length > 1
+      ? node.arguments[0]
+      : node.callee.object.type === 'CallExpression' && node.callee.object.arguments[0];
+    const path = pathNode?.type === 'Literal' ? pathNode.value : '?';
+    routes.push({ route: `${method.toUpperCase()} ${path}`, line: node.loc.start.line, handler });
+  });
+  return routes;
+};
@@ -3,3 +3,94 @@ export class FatalGraderError extends Error {
     super(message);
   }
 };
+
+export class TimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TimeoutError';
+  }
+};
+
+/**
+ * Races a promise against a timer. The timer is cleared as soon as
+ * the promise settles so it never holds the event loop open.
+ * @param {Promise<T>} promise Promise to race
+ * @param {number} [ms] Time limit in milliseconds, no limit if falsy
+ * @param {string} [message] Message of the thrown `TimeoutError`
+ * @returns {Promise<T>}
+ */
+export const withTimeout = (promise, ms, message) => {
+  if (!ms) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new TimeoutError(message || `Timed out after ${ms}ms.`)),
+        ms
+      );
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * @param {number} ms Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Stops a process spawned with `detached: true` along with everything it
+ * started. The process group gets SIGTERM, then SIGKILL once the leader
+ * has exited or `grace` runs out, so stragglers can't keep ports open.
+ * On Windows only the process itself can be killed.
+ * @param {import('child_process').ChildProcess} subprocess Process to stop
+ * @param {number} [grace] Milliseconds to wait before SIGKILL, default is 3000
+ * @returns {Promise<void>}
+ */
+export const killProcessTree = async (subprocess, grace = 3000) => {
+  if (!subprocess.pid) return;
+  const signal = (name) => {
+    try {
+      if (process.platform === 'win32') subprocess.kill(name);
+      else process.kill(-subprocess.pid, name);
+      return true;
+    } catch (e) {
+      // Nothing left in the group
+      if (e.code === 'ESRCH') return false;
+      throw e;
+    }
+  };
+  const running = subprocess.exitCode === null && subprocess.signalCode === null;
+  const exited = running
+    ? new Promise(resolve => subprocess.once('exit', resolve))
+    : Promise.resolve();
+  if (!signal('SIGTERM')) return;
+  await Promise.race([exited, sleep(grace)]);
+  signal('SIGKILL');
+};
+
+/**
+ * Calls `task` on every item with at most `limit` calls in progress at
+ * once. Each concurrent runner gets a fixed slot number so tasks can
+ * claim per-slot resources such as a port.
+ * @param {T[]} items Items to process
+ * @param {number} limit Most tasks to run at once
+ * @param {(item: T, slot: number) => Promise<boolean|void>} task Returns `false` to stop
+ *   runners from starting any further items
+ * @returns {Promise<void>}
+ */
+export const runPool = async (items, limit, task) => {
+  let next = 0;
+  let stopped = false;
+  const runner = async (slot) => {
+    while (!stopped && next < items.length) {
+      const item = items[next++];
+      if (await task(item, slot) === false) stopped = true;
+    }
+  };
+  const runners = [];
+  for (let slot = 0; slot < Math.max(1, Math.min(limit, items.length)); slot++)
+    runners.push(runner(slot));
+  await Promise.all(runners);
+};
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { parseArgs } from 'util';
+import { pathToFileURL } from 'url';
+import { autoGrade, uploadReport, reviewQueue, downloadSubmissions } from '../index.js';
+import * as c from '../ColorUtils.js';
+
+/**
+ * @typedef GraderConfigFile
+ * @property {string} grader Module whose default export is the assignment's Grader class
+ * @property {string} [submissions] Directory containing the student submissions. Default is 'submissions'.
+ * @property {import('../index.js').AssignmentConfig} [assignment] Assignment-specific configuration
+ * @property {{ courseId?: string|number, assignmentId?: string|number, url?: string }} [canvas] Canvas course and assignment.
+ *   The API key is read from the CANVAS_API_KEY environment variable.
+ * @property {import('../LmsBackends.js').LocalLmsConfig} [lms] Use a local LMS backend instead of Canvas.
+ */
+
+const usage = `Usage: cs-546-grader <command> [options]
+
+Commands:
+  grade             Grade every submission and upload the results
+  current           Grade only the submission in current_submission
+  regrade [report]  Grade everything again, including uploaded/, show what
+                    changed since the previous reports (or the given one)
+                    and only upload grades that changed
+  record            Record assertSnapshot results from the reference solution
+  upload <report>   Upload the grades in a previously saved JSON report
+  review [queue]    Review held back submissions and upload the approved
+                    ones. Default queue is review.file or review.json
+  download          Download new submissions into the submissions directory
+
+Options:
+  -c, --config <file>   Config file (JSON or JS). Default is grader.config.js
+                        or grader.config.json in the current directory.
+  --only <id|zip>       Only grade the given Canvas ID or submission file.
+                        May be repeated.
+  --dry-run             Grade without uploading to Canvas.
+  --download            Download new submissions before grading.
+  --skip-graded         Skip students who already have a grade for their
+                        current submission.
+  -h, --help            Show this message.
+
+Environment:
+  CANVAS_API_KEY        Canvas API key used for uploads
+  CANVAS_COURSE_ID      Overrides canvas.courseId from the config file
+  CANVAS_ASSIGNMENT_ID  Overrides canvas.assignmentId from the config file
+  CANVAS_URL            Overrides canvas.url, the Canvas instance submissions
+                        are downloaded from`;
+
+const findConfig = async (file) => {
+  const candidates = file ? [file] : ['grader.config.js', 'grader.config.json'];
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate);
+      return path.resolve(candidate);
+    } catch {}
+  }
+  throw new Error(file
+    ? `Config file '${file}' does not exist.`
+    : 'No grader.config.js or grader.config.json found in the current directory.');
+};
+
+/**
+ * @param {string} file Absolute path to the config file
+ * @returns {Promise<GraderConfigFile>}
+ */
+const loadConfig = async (file) => {
+  if (file.endsWith('.json'))
+    return JSON.parse(await fs.readFile(file, { encoding: 'utf8' }));
+  const module = await import(pathToFileURL(file).href);
+  return module.default || module;
+};
+
+/**
+ * The local LMS backend if the config file sets one up, otherwise Canvas
+ * credentials from the environment, or null if no API key is set.
+ * @param {GraderConfigFile} config Loaded config file
+ */
+const lmsConfig = (config) => {
+  if (config.lms) return config.lms;
+  const apiKey = process.env.CANVAS_API_KEY;
+  if (!apiKey) return null;
+  const courseId = process.env.CANVAS_COURSE_ID || config.canvas?.courseId;
+  const assignmentId = process.env.CANVAS_ASSIGNMENT_ID || config.canvas?.assignmentId;
+  const url = process.env.CANVAS_URL || config.canvas?.url;
+  if (!courseId || !assignmentId)
+    throw new Error('Canvas uploads need a course ID and an assignment ID.');
+  return { apiKey, courseId, assignmentId, url };
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: 'string', short: 'c' },
+      only: { type: 'string', multiple: true },
+      'dry-run': { type: 'boolean' },
+      download: { type: 'boolean' },
+      'skip-graded': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    console.log(usage);
+    return;
+  }
+  const configFile = await findConfig(values.config);
+  const config = await loadConfig(configFile);
+  // Paths in the config file are relative to the config file
+  process.chdir(path.dirname(configFile));
+  const submissions = config.submissions || 'submissions';
+  const assignment = config.assignment || {};
+  switch (command) {
+    case 'grade':
+    case 'regrade':
+    case 'current':
+    case 'record': {
+      if (!config.grader)
+        throw new Error("The config file must name the grader module in 'grader'.");
+      const graderModule = await import(pathToFileURL(path.resolve(config.grader)).href);
+      const GraderClass = graderModule.default;
+      if (typeof GraderClass !== 'function')
+        throw new Error(`'${config.grader}' must export a Grader class as its default export.`);
+      const canvas = values['dry-run'] || command === 'record' ? null : lmsConfig(config);
+      if (['grade', 'regrade'].includes(command) && !canvas && !values['dry-run'])
+        console.log(c.warning('CANVAS_API_KEY is not set, grades will not be uploaded.'));
+      await autoGrade(submissions, GraderClass, {
+        ...assignment,
+        onlyCurrent: command === 'current',
+        only: values.only || assignment.only,
+        download: values.download || assignment.download,
+        skipGraded: values['skip-graded'] || assignment.skipGraded,
+        regrade: command === 'regrade'
+          ? { ...assignment.regrade, report: rest[0] ? path.resolve(rest[0]) : assignment.regrade?.report }
+          : assignment.regrade,
+        snapshot: command === 'record'
+          ? { ...assignment.snapshot, record: true }
+          : assignment.snapshot
+      }, canvas);
+      break;
+    }
+    case 'upload': {
+      if (!rest[0])
+        throw new Error('Usage: cs-546-grader upload <report.json>');
+      const canvas = lmsConfig(config);
+      if (!canvas)
+        throw new Error('Set CANVAS_API_KEY to upload grades.');
+      await uploadReport(path.resolve(rest[0]), submissions, canvas, assignment);
+      break;
+    }
+    case 'review': {
+      const review = assignment.review === true ? {} : assignment.review;
+      const queue = path.resolve(rest[0] || review?.file || 'review.json');
+      const canvas = values['dry-run'] ? null : lmsConfig(config);
+      if (!canvas && !values['dry-run'])
+        console.log(c.warning('CANVAS_API_KEY is not set, grades will not be uploaded.'));
+      await reviewQueue(queue, submissions, canvas, assignment);
+      break;
+    }
+    case 'download': {
+      const canvas = lmsConfig(config);
+      if (!canvas)
+        throw new Error('Set CANVAS_API_KEY to download submissions.');
+      await downloadSubmissions(canvas, submissions);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command '${command}'.\n\n${usage}`);
+  }
+};
+
+main().catch((e) => {
+  console.error(c.error(e.message));
+  process.exitCode = 1;
+});
@@ -1,44 +1,113 @@
-import { BulkGradeUpdater } from 'canvas-scripts';
-import Grader, { stringify } from './Grader.js';
+import Grader, { stringify, parse } from './Grader.js';
 import fs from 'fs/promises';
-import Zip from 'adm-zip';
 import path from 'path';
 import * as c from './ColorUtils.js';
-import { FatalGraderError } from './Utils.js';
+import { FatalGraderError, runPool } from './Utils.js';
+import Report from './Report.js';
+import Logger from './Logger.js';
+import Similarity from './Similarity.js';
+import { loadLatePolicy } from './LatePolicy.js';
+import { loadFeedback, FEEDBACK_EXTENSIONS } from './Feedback.js';
+import { loadPreviousResults, diffResult, studentKey } from './Regrade.js';
+import { queueForReview, reviewInteractively, reviewedComments, loadQueue, saveQueue } from './Review.js';
+import { loadSnapshot, saveSnapshot, diffSnapshots } from './Snapshot.js';
+import { listSubmissions, describeFile, extractSubmission } from './Ingest.js';
+import { closeBrowser } from './Browser.js';
+import * as generators from './Generators.js';
+import * as matchers from './Matchers.js';
+import HttpAgent from './HttpAgent.js';
+import { LmsBackend, CanvasBackend, LocalBackend, connectLms, submissionFileName } from './LmsBackends.js';
 
-const canvasIdRegex = /^[^_]*?(?:_LATE|)_([0-9]+)/;
+const canvasIdRegex = /^[^_]*?(_LATE|)_([0-9]+)/;
 
 /**
  * @typedef AssignmentConfig
  * @property {boolean} [onlyCurrent] Only run the submission in the current_submission directory. Default is false.
- * @property {string} [startScript] The default start script to use if the student doesn't write one. Default is 'node app.js'.
+ * @property {(string|number)[]} [only] Only grade submissions with these Canvas IDs or file names.
+ * @property {string} [startScript] The default start script to use if the student doesn't write one. Default is 'node app.js'. Start scripts may use `node`, `nodemon`, `npm start` or `npm run`, optionally preceded by environment variable assignments.
  * @property {boolean} [runStartScript] Specifies if the start script should be executed before running the test cases. Default is false.
  * @property {string[]} [requiredFiles] Names of all the files (including extensions) that must be present in the submission. Grading will fail if any are absent.
  * @property {string[]} [requiredCollections] Names of all the db collections that must be present in the submission. Grading will fail if any are absent.
  * @property {boolean} [checkPackage] Specifies if the package.json file should be checked for existence and required properties. Default is true.
+ * @property {import('./PackagePolicy.js').PackagePolicy} [packagePolicy] Deductions and rules for package.json and its dependencies, and how they're installed.
  * @property {boolean} [hasDatabase] Whether or not to enable database grading features. Default is false.
  * @property {boolean} [connectionString] MongoDB connection string to use. Default is 'mongodb://localhost:27017/'.
+ * @property {string} [fixturesDir] Directory that database fixture paths are relative to. Default is the current directory.
  * @property {boolean} [commentsAsFiles] If true, comments will be uploaded in text files instead of as raw comment text. Default is false.
+ * @property {import('./Feedback.js').FeedbackConfig} [feedback] Renders comments grouped by rubric section from a text, Markdown or HTML template. Default is one line per deduction.
+ * @property {number} [totalPoints] Points the assignment is worth. Default is 100.
+ * @property {number} [maxBonus] Most bonus points a submission can be awarded. Default is no limit.
+ * @property {number} [testCaseTimeout] Milliseconds a single assertion's test case may run before its points are deducted. Falsy disables the limit. Default is 10000.
+ * @property {number} [concurrency] Number of submissions to grade at the same time. Each one gets its own directory, port and database. Default is 1.
+ * @property {number} [port] Port for the student server. With concurrency, each concurrent submission uses the next port up. Default is 3000.
+ * @property {string} [healthCheck] URL, or path relative to the server's base URL, polled until it responds to decide the server is ready. Default is to wait for the port to accept connections.
+ * @property {number} [startTimeout] Milliseconds to wait for the student server to become ready before grading fails. Default is 10000.
+ * @property {string} [reportDir] Directory to write a report of every graded submission into. No report is written if omitted.
+ * @property {('json'|'csv')[]} [reportFormats] Formats of the report. Default is ['json', 'csv'].
+ * @property {import('./HtmlValidators.js').HtmlValidationConfig} [htmlValidation] Validator backend and deduction settings for `assertValidHTML`. Default uses the public W3C validator.
+ * @property {import('./Similarity.js').SimilarityConfig} [similarity] If set, compares the code of all submissions and writes a ranked report of suspiciously similar pairs.
+ * @property {import('./LatePolicy.js').LatePolicy} [latePolicy] Penalty applied after the test cases to submissions Canvas marked as late or that were submitted after the due date.
+ * @property {SnapshotConfig} [snapshot] Where `assertSnapshot` results are recorded from the reference solution and compared against.
+ * @property {boolean} [isolate] Run imported student modules in a worker thread instead of the grader's own process. Exported functions become async. Arguments and results are copied between threads, so functions can't be passed as arguments, which aborts grading with an error, and exported classes can't be constructed, which fails the test case. Default is false.
+ * @property {number} [submissionTimeout] Milliseconds a whole submission may spend in setup and test cases before grading stops and the points earned so far are recorded. With `review`, it's held back for review. Falsy disables the limit. Default is 0.
+ * @property {string|number} [randomSeed] Seed of the inputs `assertMatchesReference` generates, combined with each assertion's message. Default is 'cs-546-grader'.
+ * @property {'print'|'hide'|'report'} [consoleOutput] What happens to the console output of student code: printed with the grader's output, hidden, or saved to the report. Default is 'print'.
+ * @property {string[]} [fileExtensions] Extensions of files accepted as single-file submissions. Default is ['.js', '.mjs', '.cjs'].
+ * @property {number} [maxNesting] Levels of archives inside a submission to extract. Default is 2.
+ * @property {import('./Browser.js').BrowserConfig} [browser] Browser used by `newPage` and the browser assertions.
+ * @property {ResourceLimits} [resourceLimits] Memory and CPU time the student server and isolated modules may use.
+ * @property {boolean} [download] Download new submissions from the LMS into the submissions directory before grading. Default is false.
+ * @property {boolean} [skipGraded] Skip students whose current submission already has a grade in the LMS. Default is false.
+ * @property {boolean|import('./Review.js').ReviewConfig} [review] Hold crashed, timed out, zero-scored and flagged submissions back from upload until they are reviewed, in the terminal or with `reviewQueue`.
+ * @property {boolean|import('./Regrade.js').RegradeConfig} [regrade] Grade the submissions again, including those in `uploaded`, print what changed since the previous results and only upload grades that changed.
  */
 
 /**
- * @typedef CanvasConfig
- * @property {string} apiKey The Canvas API key to use for grade uploads
- * @property {string|number} courseId The ID of the Canvas course that the assignment is a part of
- * @property {string|number} assignmentId The ID of the Canvas assignment
+ * @typedef ResourceLimits
+ * @property {number} [memory] Megabytes of memory. Also caps the heap of the student server and of isolated modules.
+ * @property {number} [cpuTime] Seconds of CPU time the student server may use. Only enforced on Linux.
+ * @property {number} [points] Points deducted when the server is stopped for exceeding a limit. Default is 5.
+ */
+
+/**
+ * @typedef SnapshotConfig
+ * @property {string} file Path of the snapshot file
+ * @property {string} [reference] Directory, archive or file of the instructor's reference solution
+ * @property {boolean} [record] Grade the reference solution and record the snapshot instead of grading submissions
+ */
+
+/**
+ * Canvas credentials, a local backend or any other `LmsBackend`
+ * @typedef {import('./LmsBackends.js').CanvasConfig
+ *   |import('./LmsBackends.js').LocalLmsConfig
+ *   |import('./LmsBackends.js').LmsBackend} LmsConfig
  */
 
 /**
  * Run the autograder.
- * @param {string} submissionsDir Directory containing all student submissions as zip files
+ * @param {string} submissionsDir Directory containing all student submissions as zip or tar archives, directories or single files
  * @param {Grader} GraderClass Grader class, must override the one provided in this package
  * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
- * @param {CanvasConfig} [canvasConfig] Canvas credentials
+ * @param {LmsConfig} [canvasConfig] Canvas credentials or another LMS backend
  * @returns {void}
  */
 async function autoGrade(submissionsDir, GraderClass, assignmentConfig, canvasConfig) {
-  if (assignmentConfig?.onlyCurrent) {
-    const grader = new GraderClass(assignmentConfig);
+  assignmentConfig = assignmentConfig || {};
+  if (assignmentConfig.snapshot?.record) {
+    await recordSnapshot(GraderClass, assignmentConfig);
+    return;
+  }
+  const gradingConfig = {
+    ...assignmentConfig,
+    latePolicy: await loadLatePolicy(assignmentConfig.latePolicy),
+    feedback: await loadFeedback(assignmentConfig.feedback),
+    snapshot: assignmentConfig.snapshot?.file && {
+      ...assignmentConfig.snapshot,
+      entries: await loadSnapshot(assignmentConfig.snapshot.file)
+    }
+  };
+  if (assignmentConfig.onlyCurrent) {
+    const grader = new GraderClass(gradingConfig);
     try {
       const { grade, comments } = await grader.run();
       console.log('Score: ' + c.success(grade));
@@ -48,83 +117,519 @@ async function autoGrade(submissionsDir, GraderClass, assignmentConfig, canvasCo
       console.error(c.error('Could not automatically grade submission.'));
       console.error(c.error(e.stack));
     }
+    await closeBrowser();
     return;
   }
   if (assignmentConfig.runStartScript && !assignmentConfig.startScript)
     console.log(c.warning("Using default start script 'node app.js'"));
-  const canvas = canvasConfig ?
-    await new BulkGradeUpdater().setParameters(
-      canvasConfig.apiKey,
-      canvasConfig.courseId,
-      canvasConfig.assignmentId
-    ) : null;
+  const lms = canvasConfig ? await connectLms(canvasConfig) : null;
+  lms?.checkUpload(assignmentConfig.commentsAsFiles, commentExtension(assignmentConfig));
+  if (assignmentConfig.download) {
+    if (!lms) throw new Error('Downloading submissions requires Canvas credentials or another LMS backend.');
+    await downloadSubmissions(lms, submissionsDir);
+  }
   try {
     // Confirms access to submissionsDir
     await fs.access(submissionsDir);
   } catch {
     throw new Error('Submissions directory is inaccessible or does not exist');
   }
+  submissionsDir = path.resolve(submissionsDir);
   const students = [];
-  const subs = await fs.readdir(submissionsDir);
+  const grades = [];
+  const report = new Report();
+  const { submissions, skipped } = await listSubmissions(submissionsDir, assignmentConfig.fileExtensions);
+  const regrade = assignmentConfig.regrade === true ? {} : assignmentConfig.regrade;
+  const previous = regrade ? await loadPreviousResults(regrade, assignmentConfig.reportDir) : null;
+  if (regrade && (regrade.includeUploaded ?? true))
+    submissions.push(...await listUploaded(submissionsDir, submissions, assignmentConfig.fileExtensions));
   const originalDir = process.cwd();
-  for (const sub of subs.filter(file => file.endsWith('.zip'))) {
-    const fileLoc = path.join(submissionsDir, sub);
-    const subDir = path.join('current_submission', sub.substring(0, sub.length - 4));
+  const concurrency = assignmentConfig.concurrency || 1;
+  const basePort = assignmentConfig.port ?? 3000;
+  const workRoot = path.resolve('current_submission');
+  const similarity = assignmentConfig.similarity
+    ? new Similarity({
+      ...assignmentConfig.similarity,
+      output: path.resolve(assignmentConfig.similarity.output || 'similarity.json'),
+      baseline: assignmentConfig.similarity.baseline
+        && path.resolve(assignmentConfig.similarity.baseline)
+    })
+    : null;
+  if (concurrency > 1)
+    await fs.rm(workRoot, { recursive: true, force: true });
+  const only = assignmentConfig.only?.map(String);
+  const graded = lms && assignmentConfig.skipGraded ? await lms.gradedStudents() : new Set();
+  // Lets a due date judge submissions without a submissionTimes file
+  let submittedAt = new Map();
+  if (lms && gradingConfig.latePolicy?.dueDate !== undefined) {
+    try {
+      submittedAt = await lms.submissionTimes();
+    } catch (e) {
+      console.log(c.warning(`Couldn't get submission times from the LMS, only submissionTimes and the _LATE marker are used: ${e.message}`));
+    }
+  }
+  const selected = submissions.filter(({ file }) => !only
+    || only.includes(file)
+    || only.includes(canvasIdRegex.exec(file)?.[2]));
+  const ungraded = selected.filter(({ file }) => !graded.has(canvasIdRegex.exec(file)?.[2]));
+  if (ungraded.length < selected.length)
+    console.log(c.warning(`Skipping ${selected.length - ungraded.length} submission(s) that already have a grade.`));
+  await runPool(ungraded, concurrency, async (submission, slot) => {
+    const sub = submission.file;
+    const subDir = path.join(workRoot, submission.name);
+    const [, late, canvasId = null] = canvasIdRegex.exec(sub) || [];
+    const log = new Logger(concurrency > 1);
     let grader = null;
+    let keepGoing = true;
     try {
-      process.chdir(originalDir);
-      console.log(`Grading ${c.info(sub)}...`);
-      await fs.rm('current_submission', { recursive: true, force: true });
-      const zip = new Zip(fileLoc);
-      zip.extractAllTo(subDir);
-      grader = new GraderClass(assignmentConfig);
+      if (concurrency > 1) {
+        await fs.rm(subDir, { recursive: true, force: true });
+      } else {
+        process.chdir(originalDir);
+        await fs.rm(workRoot, { recursive: true, force: true });
+      }
+      log.log(`Grading ${c.info(sub)}${submission.uploaded ? ' (uploaded)' : ''}...`);
+      let warnings;
+      try {
+        warnings = await extractSubmission(submission,
+          submission.uploaded ? path.join(submissionsDir, 'uploaded') : submissionsDir,
+          subDir, assignmentConfig.maxNesting);
+      } catch (e) {
+        log.error(c.error(e.message));
+        skipped.push({ file: sub, reason: e.message });
+        log.log(c.warning('------------------------------'));
+        log.flush();
+        return keepGoing;
+      }
+      for (const warning of warnings)
+        log.log(c.warning(warning));
+      grader = new GraderClass(gradingConfig);
+      grader.submission = { name: sub, canvasId, late: !!late, submittedAt: submittedAt.get(canvasId) ?? null };
+      grader.directory = subDir;
+      grader.port = basePort + slot;
+      grader.logger = log;
       const { grade, comments } = await grader.run();
-      console.log(`Done. Scored ${c.success(grade)}`);
-      if (!canvas) console.log(c.error(comments));
+      report.add({
+        submission: sub,
+        canvasId,
+        author: grader.author,
+        score: grade,
+        status: grader.timedOut ? 'timedOut' : 'graded',
+        deductions: grader.deductions,
+        comments,
+        screenshots: grader.screenshots,
+        flags: grader.reviewFlags,
+        output: grader.consoleOutput === 'report' ? grader.output.text : undefined
+      });
+      log.log(`Done. Scored ${c.success(grade)}`);
+      if (!lms) log.log(c.error(comments));
       else {
-        if (canvasIdRegex.test(sub)) {
-          const studentId = canvasIdRegex.exec(sub)[1];
-          canvas.addStudent(studentId, grade, comments);
-          students.push([grader.author, sub]);
+        if (canvasId) {
+          grades.push({ canvasId, grade, comments, author: grader.author, file: sub, uploaded: !!submission.uploaded });
         } else {
-          console.error(c.error('Failed to locate student canvas ID for submission. Upload comments manually:'));
-          console.log(c.error(comments || 'No comments.'));
+          log.error(c.error('Failed to locate student canvas ID for submission. Upload comments manually:'));
+          log.log(c.error(comments || 'No comments.'));
         }
       }
     } catch (e) {
       await grader?.cleanup();
+      report.add({
+        submission: sub,
+        canvasId,
+        author: grader?.author,
+        status: e instanceof FatalGraderError ? 'fatal' : 'crashed',
+        deductions: grader?.deductions,
+        comments: grader?.feedback(),
+        screenshots: grader?.screenshots,
+        flags: grader?.reviewFlags,
+        output: grader?.consoleOutput === 'report' ? grader.output.text : undefined,
+        error: e?.toString()
+      });
       if (e instanceof FatalGraderError) {
-        console.error(c.error('Encountered an error that would interfere'
+        log.error(c.error('Encountered an error that would interfere'
           + ' with the grading of further submissions. Aborting grader at this point.'));
-        console.error(c.error(e.toString()));
-        break;
+        log.error(c.error(e.toString()));
+        keepGoing = false;
       } else {
-        console.error(c.error('Could not automatically grade submission.'));
-        console.error(c.error(e.stack));
+        log.error(c.error('Could not automatically grade submission.'));
+        log.error(c.error(e.stack));
+      }
+    }
+    if (similarity && grader) {
+      try {
+        await similarity.addSubmission(sub, grader.author, subDir);
+      } catch (e) {
+        log.error(c.error('Could not fingerprint submission for similarity checking.'));
+        log.error(c.error(e.toString()));
+      }
+    }
+    if (concurrency > 1)
+      await fs.rm(subDir, { recursive: true, force: true });
+    log.log(c.warning('------------------------------'));
+    log.flush();
+    return keepGoing;
+  });
+  process.chdir(originalDir);
+  await closeBrowser();
+  if (skipped.length) {
+    console.log(c.warning(`Skipped ${skipped.length} entr${skipped.length === 1 ? 'y' : 'ies'} in the submissions directory:`));
+    for (const { file, reason } of skipped) {
+      console.log(c.warning(`  ${file}: ${reason}`));
+      report.skip(file, reason);
+    }
+  }
+  if (similarity) {
+    // Submissions left out by `only` or `skipGraded` can still be copied from
+    const rest = submissions.filter(submission => !ungraded.includes(submission));
+    if (rest.length)
+      console.log(`Fingerprinting ${c.info(rest.length)} ungraded submission(s) for similarity checking...`);
+    for (const submission of rest) {
+      const subDir = path.join(workRoot, 'similarity', submission.name);
+      try {
+        await extractSubmission(submission,
+          submission.uploaded ? path.join(submissionsDir, 'uploaded') : submissionsDir,
+          subDir, assignmentConfig.maxNesting);
+        await similarity.addSubmission(submission.file, '', subDir);
+      } catch (e) {
+        console.error(c.error(`Could not fingerprint ${submission.file} for similarity checking: ${e.message}`));
       }
+      await fs.rm(subDir, { recursive: true, force: true });
+    }
+    await fs.rm(path.join(workRoot, 'similarity'), { recursive: true, force: true });
+    const pairs = await similarity.write();
+    console.log(`Found ${c.warning(pairs.length)} suspiciously similar pair(s).`
+      + ` Wrote similarity report to ${c.info(similarity.output)}`);
+  }
+  if (assignmentConfig.reportDir) {
+    const files = await report.write(assignmentConfig.reportDir, assignmentConfig.reportFormats);
+    for (const file of files)
+      console.log(`Wrote report to ${c.info(file)}`);
+  }
+  const changed = regrade ? printRegrade(report, previous) : null;
+  const review = assignmentConfig.review === true ? {} : assignmentConfig.review;
+  const reviewFile = review && path.resolve(review.file || 'review.json');
+  let held = new Set();
+  let approved = [];
+  let queue = [];
+  if (review) {
+    let added;
+    ({ queue, added } = await queueForReview(reviewFile, report.submissions, review));
+    if (added.length && (review.interactive ?? !!process.stdin.isTTY)) {
+      await reviewInteractively(added, assignmentConfig.totalPoints ?? 100,
+        () => saveQueue(reviewFile, queue));
+    }
+    // Students still pending from an earlier run stay held too
+    held = new Set([...added, ...queue.filter(item => item.state === 'pending')]
+      .map(item => item.canvasId).filter(Boolean));
+    approved = added.filter(item => item.state === 'approved' && item.canvasId);
+    const waiting = added.filter(item => item.state === 'pending').length;
+    if (waiting)
+      console.log(c.warning(`${waiting} submission(s) are waiting for review in ${reviewFile}.`));
+  }
+  for (const { canvasId, grade, comments, author, file, uploaded } of grades) {
+    if (held.has(canvasId)) continue;
+    if (changed && !regrade.uploadUnchanged && !changed.has(canvasId)) continue;
+    lms.addGrade(canvasId, grade, comments);
+    students.push([author, file, uploaded]);
+  }
+  if (lms) {
+    for (const item of approved) {
+      lms.addGrade(item.canvasId, item.finalScore ?? item.score, reviewedComments(item));
+      students.push([item.author || item.submission, item.submission]);
+    }
+  }
+  if (lms && students.length) {
+    await uploadGrades(lms, students, submissionsDir, assignmentConfig);
+    if (approved.length) {
+      approved.forEach(item => item.state = 'uploaded');
+      await saveQueue(reviewFile, queue);
+    }
+  } else {
+    console.log(c.warning('No grades uploaded.'));
+  }
+};
+
+/**
+ * Submissions in the `uploaded` directory, for regrading. Students who
+ * also have a submission waiting in the submissions directory are left
+ * out, since that one is newer.
+ * @param {string} submissionsDir Directory containing the submissions
+ * @param {import('./Ingest.js').Submission[]} pending Submissions outside of `uploaded`
+ * @param {string[]} [fileExtensions] Extensions of single-file submissions
+ * @returns {Promise<(import('./Ingest.js').Submission & { uploaded: true })[]>}
+ */
+async function listUploaded(submissionsDir, pending, fileExtensions) {
+  const uploadedDir = path.join(submissionsDir, 'uploaded');
+  try {
+    await fs.access(uploadedDir);
+  } catch {
+    return [];
+  }
+  const { submissions } = await listSubmissions(uploadedDir, fileExtensions);
+  const pendingIds = new Set(pending.map(({ file }) => canvasIdRegex.exec(file)?.[2]).filter(Boolean));
+  const pendingFiles = new Set(pending.map(({ file }) => file));
+  return submissions
+    .filter(({ file }) => !pendingFiles.has(file) && !pendingIds.has(canvasIdRegex.exec(file)?.[2]))
+    .map(submission => ({ ...submission, uploaded: true }));
+}
+
+/**
+ * Print how the regraded results differ from the previous ones.
+ * @param {Report} report Report of the regrade
+ * @param {Map<string, import('./Report.js').ReportEntry>} previous Previous results by student
+ * @returns {Set<string>} Keys of the students whose grade or comments changed
+ */
+function printRegrade(report, previous) {
+  const changed = new Set();
+  const changes = report.submissions.map(entry => diffResult(previous.get(studentKey(entry)), entry));
+  const score = entry => entry.score ?? entry.status;
+  console.log('Regrade results:');
+  for (const change of changes) {
+    const name = change.after.author
+      ? `${change.after.author} (${change.after.submission})`
+      : change.after.submission;
+    if (change.type === 'unchanged') continue;
+    changed.add(change.key);
+    if (change.type === 'added') {
+      console.log(c.success(`+ ${name}: ${score(change.after)} (no previous result)`));
+      continue;
+    }
+    console.log(c.warning(`~ ${name}: ${score(change.before)} -> ${score(change.after)}`));
+    for (const line of change.removed)
+      console.log(c.error(`    - ${line}`));
+    for (const line of change.added)
+      console.log(c.success(`    + ${line}`));
+  }
+  console.log(`${c.info(changed.size)} of ${c.info(changes.length)} regraded submission(s) changed.`);
+  return changed;
+}
+
+/**
+ * Grade the reference solution, recording the result of every
+ * `assertSnapshot` test case, and print what changed since the
+ * previous recording.
+ * @param {Grader} GraderClass Grader class, must override the one provided in this package
+ * @param {AssignmentConfig} assignmentConfig Assignment-specific configuration
+ */
+async function recordSnapshot(GraderClass, assignmentConfig) {
+  const { file, reference } = assignmentConfig.snapshot;
+  if (!file || !reference)
+    throw new Error('Recording a snapshot requires both snapshot.file and snapshot.reference.');
+  const snapshotFile = path.resolve(file);
+  const referenceDir = path.resolve('current_submission', 'reference');
+  await fs.rm('current_submission', { recursive: true, force: true });
+  const stat = await fs.stat(reference);
+  if (stat.isDirectory()) {
+    await fs.cp(reference, referenceDir, {
+      recursive: true,
+      filter: src => path.basename(src) !== 'node_modules'
+    });
+  } else {
+    const submission = describeFile(path.basename(reference), assignmentConfig.fileExtensions);
+    if (!submission)
+      throw new Error(`Unsupported reference solution '${reference}'.`);
+    await extractSubmission(submission, path.dirname(path.resolve(reference)), referenceDir,
+      assignmentConfig.maxNesting);
+  }
+  console.log(`Recording snapshot from ${c.info(reference)}...`);
+  const grader = new GraderClass(assignmentConfig);
+  grader.directory = referenceDir;
+  grader.recordedEntries = {};
+  try {
+    const { grade, comments } = await grader.run();
+    console.log(`Reference solution scored ${c.success(grade)}`);
+    if (comments) console.log(c.error(comments));
+  } catch (e) {
+    await grader.cleanup();
+    throw e;
+  } finally {
+    await closeBrowser();
+  }
+  const previous = await loadSnapshot(snapshotFile, true);
+  const changes = diffSnapshots(previous, grader.recordedEntries);
+  await saveSnapshot(snapshotFile, grader.recordedEntries);
+  const count = Object.keys(grader.recordedEntries).length;
+  console.log(`Recorded ${c.info(count)} test case(s) to ${c.info(snapshotFile)}`);
+  if (previous && !changes.length)
+    console.log(c.success('No changes since the previous recording.'));
+  for (const change of changes) {
+    if (change.type === 'added') {
+      console.log(c.success(`+ ${change.id}: ${JSON.stringify(change.after)}`));
+    } else if (change.type === 'removed') {
+      console.log(c.error(`- ${change.id}: ${JSON.stringify(change.before)}`));
+    } else {
+      console.log(c.warning(`~ ${change.id}`));
+      console.log(c.error(`  - ${JSON.stringify(change.before)}`));
+      console.log(c.success(`  + ${JSON.stringify(change.after)}`));
+    }
+  }
+}
+
+/**
+ * Upload the grades of a previously saved JSON report. Only submissions
+ * that were graded and have a Canvas ID are uploaded.
+ * @param {string} reportFile Path to a JSON report written by `autoGrade`
+ * @param {string} submissionsDir Directory containing the graded submissions
+ * @param {LmsConfig} canvasConfig Canvas credentials or another LMS backend
+ * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+ * @returns {Promise<void>}
+ */
+async function uploadReport(reportFile, submissionsDir, canvasConfig, assignmentConfig) {
+  let saved;
+  try {
+    saved = JSON.parse(await fs.readFile(reportFile, { encoding: 'utf8' }));
+  } catch {
+    throw new Error(`Couldn't read report '${reportFile}'.`);
+  }
+  const lms = await connectLms(canvasConfig);
+  const students = [];
+  const review = assignmentConfig?.review === true ? {} : assignmentConfig?.review;
+  const reviewed = review
+    ? new Map((await loadQueue(path.resolve(review.file || 'review.json'), true))
+      .map(item => [item.canvasId ?? item.submission, item.state]))
+    : new Map();
+  for (const entry of saved.submissions) {
+    // Reviewed submissions are uploaded by reviewQueue
+    if (reviewed.has(studentKey(entry))) {
+      console.log(c.warning(`Skipping ${entry.submission} (${reviewed.get(studentKey(entry)) === 'pending'
+        ? 'waiting for review' : 'in the review queue'}).`));
+      continue;
     }
-    console.log(c.warning('------------------------------'));
+    if (entry.score === null || !['graded', 'timedOut'].includes(entry.status)) {
+      console.log(c.warning(`Skipping ${entry.submission} (${entry.status}).`));
+      continue;
+    }
+    if (!entry.canvasId) {
+      console.log(c.warning(`Skipping ${entry.submission} (no Canvas ID).`));
+      continue;
+    }
+    lms.addGrade(entry.canvasId, entry.score, entry.comments);
+    students.push([entry.author || entry.submission, entry.submission]);
   }
-  if (canvas && students.length) {
-    process.chdir(originalDir);
-    await canvas.sendUpdate(assignmentConfig?.commentsAsFiles);
-    console.log(c.success('Uploaded grades for the following students:'));
-    const uploadedDir = path.join(submissionsDir, 'uploaded');
-    await fs.mkdir(uploadedDir, { recursive: true });
-    for (const student of students) {
-      console.log('  - ' + student[0]);
+  if (students.length)
+    await uploadGrades(lms, students, path.resolve(submissionsDir), assignmentConfig);
+  else
+    console.log(c.warning('No grades uploaded.'));
+}
+
+/**
+ * Review the pending submissions of a saved review queue in the terminal,
+ * then upload every approved submission that wasn't uploaded yet.
+ * @param {string} queueFile Path to a review queue written by `autoGrade`
+ * @param {string} submissionsDir Directory containing the graded submissions
+ * @param {LmsConfig} [canvasConfig] Canvas credentials or another LMS backend. Nothing is uploaded without one.
+ * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+ * @returns {Promise<void>}
+ */
+async function reviewQueue(queueFile, submissionsDir, canvasConfig, assignmentConfig) {
+  const queue = await loadQueue(queueFile);
+  await reviewInteractively(queue, assignmentConfig?.totalPoints ?? 100,
+    () => saveQueue(queueFile, queue));
+  const approved = queue.filter(item => item.state === 'approved');
+  for (const item of approved.filter(item => !item.canvasId))
+    console.log(c.warning(`Skipping ${item.submission} (no Canvas ID).`));
+  const uploads = approved.filter(item => item.canvasId);
+  if (!canvasConfig || !uploads.length) {
+    console.log(c.warning('No grades uploaded.'));
+    return;
+  }
+  const lms = await connectLms(canvasConfig);
+  for (const item of uploads)
+    lms.addGrade(item.canvasId, item.finalScore ?? item.score, reviewedComments(item));
+  await uploadGrades(lms, uploads.map(item => [item.author || item.submission, item.submission]),
+    path.resolve(submissionsDir), assignmentConfig);
+  uploads.forEach(item => item.state = 'uploaded');
+  await saveQueue(queueFile, queue);
+}
+
+/**
+ * Download every submission from the LMS into the submissions directory,
+ * named like Canvas names them in its bulk download. Files that are
+ * already there or in `uploaded` are not downloaded again, and files
+ * from a student's earlier submissions are removed.
+ * @param {LmsConfig} canvasConfig Canvas credentials or another LMS backend
+ * @param {string} submissionsDir Directory to download the submissions into
+ * @returns {Promise<string[]>} Names of the downloaded files
+ */
+async function downloadSubmissions(canvasConfig, submissionsDir) {
+  const lms = await connectLms(canvasConfig);
+  submissionsDir = path.resolve(submissionsDir);
+  const uploadedDir = path.join(submissionsDir, 'uploaded');
+  await fs.mkdir(submissionsDir, { recursive: true });
+  const existing = new Set(await fs.readdir(submissionsDir));
+  const uploaded = new Set(await fs.readdir(uploadedDir).catch(() => []));
+  const downloaded = [];
+  for (const submission of await lms.listSubmissions()) {
+    const files = submission.attachments.map(attachment => submissionFileName(submission, attachment));
+    // Files from an earlier submission by the same student would be graded too
+    for (const file of existing) {
+      if (canvasIdRegex.exec(file)?.[2] !== submission.studentId || files.includes(file)) continue;
+      await fs.rm(path.join(submissionsDir, file), { recursive: true, force: true });
+      console.log(c.warning(`Removed ${file}, replaced by a newer submission.`));
+    }
+    for (const [i, attachment] of submission.attachments.entries()) {
+      if (existing.has(files[i]) || uploaded.has(files[i])) continue;
+      await lms.download(attachment, path.join(submissionsDir, files[i]));
+      downloaded.push(files[i]);
+    }
+  }
+  console.log(`Downloaded ${c.info(downloaded.length)} new submission file(s) into ${c.info(submissionsDir)}`);
+  return downloaded;
+}
+
+/**
+ * Extension of comment files, matching the feedback format.
+ * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+ * @returns {string}
+ */
+function commentExtension(assignmentConfig) {
+  return FEEDBACK_EXTENSIONS[assignmentConfig?.feedback?.format || 'text'];
+}
+
+/**
+ * Sends the queued grades and moves the uploaded submissions
+ * into the `uploaded` directory.
+ * @param {import('./LmsBackends.js').LmsBackend} lms Backend with all grades added
+ * @param {[string, string, boolean?][]} students Author and file name of each uploaded submission,
+ *   and whether it is in the `uploaded` directory already
+ * @param {string} submissionsDir Directory containing the submissions
+ * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+ */
+async function uploadGrades(lms, students, submissionsDir, assignmentConfig) {
+  await lms.sendGrades(assignmentConfig?.commentsAsFiles, commentExtension(assignmentConfig));
+  console.log(c.success('Uploaded grades for the following students:'));
+  const uploadedDir = path.join(submissionsDir, 'uploaded');
+  await fs.mkdir(uploadedDir, { recursive: true });
+  for (const student of students) {
+    console.log('  - ' + student[0]);
+    // Regraded submissions that were already uploaded are there already
+    if (student[2]) continue;
+    try {
       await fs.rename(
         path.join(submissionsDir, student[1]),
         path.join(uploadedDir, student[1])
       );
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      // Regraded from uploaded/ in an earlier run
+      if (await fs.access(path.join(uploadedDir, student[1])).then(() => true, () => false)) continue;
+      console.log(c.warning(`    Couldn't find ${student[1]} to move it into uploaded/.`));
     }
-  } else {
-    console.log(c.warning('No grades uploaded.'));
   }
-};
+}
 
 export {
   autoGrade,
+  uploadReport,
+  reviewQueue,
+  downloadSubmissions,
+  LmsBackend,
+  CanvasBackend,
+  LocalBackend,
+  generators,
+  matchers,
+  HttpAgent,
   Grader,
-  stringify
+  stringify,
+  parse
 };
@@ -1,7 +1,7 @@
 /// <reference types="node/child_process" />
 /// <reference types="node/ts4.8/child_process" />
 
-import { HTTPResponse, HTTPRequest, Page } from "puppeteer-core";
+import { HTTPResponse, HTTPRequest, Page, ElementHandle, BrowserContext } from "puppeteer-core";
 
 export type AssignmentConfig = {
   /**
@@ -9,62 +9,1159 @@ export type AssignmentConfig = {
    */
   onlyCurrent?: boolean;
   /**
-   * The default start script to use if the student doesn't write one. Default is 'npm start'.
+   * Only grade submissions with these Canvas IDs or file names.
+   */
+  only?: (string | number)[];
+  /**
+   * The default start script to use if the student doesn't write one. Default is 'node app.js'. Start scripts may use `node`, `nodemon`, `npm start` or `npm run`, optionally preceded by environment variable assignments.
    */
   startScript?: string;
   /**
-   * Specifies if the start script should be executed before running the test cases. Default is false.
+   * Specifies if the start script should be executed before running the test cases. Default is false.
+   */
+  runStartScript?: boolean;
+  /**
+   * Names of all the files (including extensions) that must be present in the submission. Grading will fail if any are absent.
+   */
+  requiredFiles?: string[];
+  /**
+   * Names of all the collections that must be present in the database. Grading will fail if any are absent.
+   */
+  requiredCollections?: string[];
+  /**
+   * Specifies if the package.json file should be checked for existence and required properties. Default is true.
+   */
+  checkPackage?: boolean;
+  /**
+   * Deductions and rules for package.json and its dependencies, and how they're installed.
+   */
+  packagePolicy?: PackagePolicy;
+  /**
+   * Whether or not to enable database grading features. Default is false.
+   */
+  hasDatabase?: boolean;
+  /**
+   * MongoDB connection string. Default is 'mongodb://localhost:27017/'.
+   */
+  connectionString?: string;
+  /**
+   * Directory that database fixture paths are relative to. Default is the current directory.
+   */
+  fixturesDir?: string;
+  /**
+   * If true, comments will be uploaded in text files instead of as raw comment text. Default is false.
+   */
+  commentsAsFiles?: true;
+  /**
+   * Points the assignment is worth. Default is 100.
+   */
+  totalPoints?: number;
+  /**
+   * Most bonus points a submission can be awarded. Default is no limit.
+   */
+  maxBonus?: number;
+  /**
+   * Renders comments grouped by rubric section from a text, Markdown or HTML template. Default is one line per deduction.
+   */
+  feedback?: FeedbackConfig;
+  /**
+   * Milliseconds a single assertion's test case may run before its points are deducted. Falsy disables the limit. Default is 10000.
+   */
+  testCaseTimeout?: number;
+  /**
+   * Number of submissions to grade at the same time. Each one gets its own directory, port and database. Default is 1.
+   */
+  concurrency?: number;
+  /**
+   * Port for the student server. With concurrency, each concurrent submission uses the next port up. Default is 3000.
+   */
+  port?: number;
+  /**
+   * URL, or path relative to the server's base URL, polled until it responds to decide the server is ready. Default is to wait for the port to accept connections.
+   */
+  healthCheck?: string;
+  /**
+   * Milliseconds to wait for the student server to become ready before grading fails. Default is 10000.
+   */
+  startTimeout?: number;
+  /**
+   * Directory to write a report of every graded submission into. No report is written if omitted.
+   */
+  reportDir?: string;
+  /**
+   * Formats of the report. Default is ['json', 'csv'].
+   */
+  reportFormats?: ('json'|'csv')[];
+  /**
+   * Validator backend and deduction settings for `assertValidHTML`. Default uses the public W3C validator.
+   */
+  htmlValidation?: HtmlValidationConfig;
+  /**
+   * If set, compares the code of all submissions and writes a ranked report of suspiciously similar pairs.
+   */
+  similarity?: SimilarityConfig;
+  /**
+   * Penalty applied after the test cases to submissions Canvas marked as late or that were submitted after the due date.
+   */
+  latePolicy?: LatePolicy;
+  /**
+   * Where `assertSnapshot` results are recorded from the reference solution and compared against.
+   */
+  snapshot?: SnapshotConfig;
+  /**
+   * Run imported student modules in a worker thread instead of the grader's own process. Exported functions become async. Arguments and results are copied between threads, so functions can't be passed as arguments, which aborts grading with an error, and exported classes can't be constructed, which fails the test case. Default is false.
+   */
+  isolate?: boolean;
+  /**
+   * Milliseconds a whole submission may spend in setup and test cases before grading stops and the points earned so far are recorded. With `review`, it's held back for review. Falsy disables the limit. Default is 0.
+   */
+  submissionTimeout?: number;
+  /**
+   * Seed of the inputs `assertMatchesReference` generates, combined with each assertion's message. Default is 'cs-546-grader'.
+   */
+  randomSeed?: string | number;
+  /**
+   * What happens to the console output of student code: printed with the grader's output, hidden, or saved to the report. Default is 'print'.
+   */
+  consoleOutput?: 'print' | 'hide' | 'report';
+  /**
+   * Extensions of files accepted as single-file submissions. Default is ['.js', '.mjs', '.cjs'].
+   */
+  fileExtensions?: string[];
+  /**
+   * Levels of archives inside a submission to extract. Default is 2.
+   */
+  maxNesting?: number;
+  /**
+   * Memory and CPU time the student server and isolated modules may use.
+   */
+  resourceLimits?: ResourceLimits;
+  /**
+   * Browser used by `newPage` and the browser assertions.
+   */
+  browser?: BrowserConfig;
+  /**
+   * Download new submissions from the LMS into the submissions directory before grading. Default is false.
+   */
+  download?: boolean;
+  /**
+   * Skip students whose current submission already has a grade in the LMS. Default is false.
+   */
+  skipGraded?: boolean;
+  /**
+   * Hold crashed, timed out, zero-scored and flagged submissions back from upload until they are reviewed, in the terminal or with `reviewQueue`.
+   */
+  review?: boolean | ReviewConfig;
+  /**
+   * Grade the submissions again, including those in `uploaded`, print what changed since the previous results and only upload grades that changed.
+   */
+  regrade?: boolean | RegradeConfig;
+};
+export type BrowserConfig = {
+  /**
+   * Path to a local Chrome or Chromium. Default is the `CHROME_PATH` environment variable.
+   */
+  executablePath?: string;
+  /**
+   * Headless mode passed to puppeteer. Default is 'new'.
+   */
+  headless?: boolean | 'new';
+  /**
+   * Extra command line arguments for the browser.
+   */
+  args?: string[];
+  /**
+   * Milliseconds navigation and waiting for elements may take. Default is 5000.
+   */
+  timeout?: number;
+  /**
+   * Where screenshots of failed browser assertions are saved. Default is a `screenshots` directory inside `reportDir`. No screenshots are saved without either.
+   */
+  screenshotDir?: string;
+};
+export type FormValues = { [field: string]: string | number | boolean | string[] };
+export type PackagePolicy = {
+  /**
+   * Points deducted for a missing package.json. Default is 5.
+   */
+  missingPackage?: number;
+  /**
+   * Points deducted for a missing start script. Default is 5.
+   */
+  missingStartScript?: number;
+  /**
+   * Points deducted for including node_modules. Default is 5.
+   */
+  includedModules?: number;
+  /**
+   * Require `"type": "module"` in package.json. Default is false.
+   */
+  requireModule?: boolean;
+  /**
+   * Points deducted when `"type": "module"` is required but missing. Default is 5.
+   */
+  notModule?: number;
+  /**
+   * Packages that must be listed in `dependencies`.
+   */
+  requiredDependencies?: string[];
+  /**
+   * Points deducted per missing required dependency. Default is 5.
+   */
+  missingDependency?: number;
+  /**
+   * Packages that must not be listed in any dependency field.
+   */
+  forbiddenDependencies?: string[];
+  /**
+   * Points deducted per forbidden dependency. Default is 5.
+   */
+  forbiddenDependency?: number;
+  /**
+   * Check that every dependency has a plain semver version or range, so tags like 'latest', git URLs and `npm:` aliases are deducted. Default is false.
+   */
+  checkVersions?: boolean;
+  /**
+   * Points deducted per dependency with a bad version range. Default is 1.
+   */
+  invalidVersion?: number;
+  /**
+   * How to install dependencies. 'online' runs a plain `npm i`, 'offline' only uses the npm cache. Default is 'online'.
+   */
+  install?: 'online' | 'offline' | false;
+  /**
+   * npm cache directory shared by every submission. Default is npm's own cache.
+   */
+  npmCache?: string;
+};
+export type ResourceLimits = {
+  /**
+   * Megabytes of memory. Also caps the heap of the student server and of isolated modules.
+   */
+  memory?: number;
+  /**
+   * Seconds of CPU time the student server may use. Only enforced on Linux.
+   */
+  cpuTime?: number;
+  /**
+   * Points deducted when the server is stopped for exceeding a limit. Default is 5.
+   */
+  points?: number;
+};
+export type ValidationError = {
+  /**
+   * Description of the error
+   */
+  message: string;
+  /**
+   * Line the error starts on
+   */
+  line?: number;
+  /**
+   * Column the error starts on
+   */
+  column?: number;
+};
+export type HtmlValidator = (rawHTML: string) => Promise<ValidationError[]>;
+export type HtmlValidationConfig = {
+  /**
+   * Validator backend. Default is 'w3c'.
+   */
+  validator?: 'w3c' | 'nu' | 'vnu' | 'html-validate' | HtmlValidator;
+  /**
+   * URL of a Nu HTML Checker service for the 'nu' backend, e.g. a local `vnu.jar --http` instance.
+   */
+  url?: string;
+  /**
+   * Path to `vnu.jar` for the 'vnu' backend.
+   */
+  jar?: string;
+  /**
+   * Java executable for the 'vnu' backend. Default is 'java'.
+   */
+  java?: string;
+  /**
+   * Rule configuration for the 'html-validate' backend. Default is its recommended preset.
+   */
+  rules?: object;
+  /**
+   * Number of errors to quote in the deduction comment. Default is 3.
+   */
+  maxMessages?: number;
+  /**
+   * If set, deduct this many points per error, up to the assertion's points.
+   */
+  pointsPerError?: number;
+};
+export type SimilarityConfig = {
+  /**
+   * File to write the ranked report to. Default is 'similarity.json'.
+   */
+  output?: string;
+  /**
+   * Directory with instructor-provided starter code to ignore.
+   */
+  baseline?: string;
+  /**
+   * Fraction of the smaller submission that must match to be reported. Default is 0.5.
+   */
+  threshold?: number;
+  /**
+   * Fewest shared fingerprints needed to report a pair. Default is 10.
+   */
+  minMatches?: number;
+  /**
+   * Ignore fingerprints found in more than this fraction of submissions. Default is 0.5.
+   */
+  commonFraction?: number;
+  /**
+   * Number of tokens per fingerprint. Default is 12.
+   */
+  kgram?: number;
+  /**
+   * Winnowing window size. Default is 8.
+   */
+  window?: number;
+  /**
+   * Glob patterns of files to compare. Default is JavaScript, Handlebars and HTML files.
+   */
+  patterns?: string[];
+  /**
+   * Glob patterns of files to skip, in addition to node_modules.
+   */
+  ignore?: string[];
+};
+export type LatePolicy = {
+  /**
+   * Assignment due date. Without it, only the _LATE marker is used and submissions count as one day late.
+   */
+  dueDate?: string | number | Date;
+  /**
+   * Points deducted from every late submission. Default is 0.
+   */
+  flatPenalty?: number;
+  /**
+   * Percent of the total points deducted per started day late. Default is 0.
+   */
+  percentPerDay?: number;
+  /**
+   * Minutes after the due date that still count as on time. Default is 0.
+   */
+  graceMinutes?: number;
+  /**
+   * Most days a submission can be penalized for.
+   */
+  maxDays?: number;
+  /**
+   * Give a zero to submissions more than `maxDays` late instead of capping the penalty. Default is false.
+   */
+  zeroAfterCutoff?: boolean;
+  /**
+   * Map of Canvas ID to extended due date or number of extra days, or the path to a JSON file containing it.
+   */
+  extensions?: string | { [canvasId: string]: string | number };
+  /**
+   * Map of Canvas ID to submission time, or the path to a JSON file containing it. Overrides the time reported by the LMS.
+   */
+  submissionTimes?: string | { [canvasId: string]: string | number };
+};
+export type SubmissionInfo = {
+  /**
+   * File name of the submission
+   */
+  name: string;
+  /**
+   * Canvas ID of the student
+   */
+  canvasId: string | null;
+  /**
+   * Whether Canvas marked the submission as late
+   */
+  late: boolean;
+  /**
+   * When the LMS says it was submitted, as an ISO date
+   */
+  submittedAt?: string | null;
+};
+export type SnapshotConfig = {
+  /**
+   * Path of the snapshot file
+   */
+  file: string;
+  /**
+   * Directory, archive or file of the instructor's reference solution
+   */
+  reference?: string;
+  /**
+   * Grade the reference solution and record the snapshot instead of grading submissions
+   */
+  record?: boolean;
+};
+export type SnapshotEntry = {
+  /**
+   * Value the test case returned, in `stringify` notation
+   */
+  value?: any;
+  /**
+   * Whether the test case returned undefined
+   */
+  undefined?: boolean;
+  /**
+   * Error the test case threw
+   */
+  error?: { name?: string, message: string, string?: boolean };
+};
+/**
+ * Map of collection names to documents or JSON fixture files, or a directory
+ * containing one `<collection>.json` file per collection.
+ */
+export type Finding = {
+  /**
+   * What was found, e.g. `console.log`
+   */
+  name: string;
+  /**
+   * Line it was found on, null if it isn't on one
+   */
+  line: number | null;
+};
+export type Fixtures = string | { [collection: string]: string | object[] };
+export type CanvasConfig = {
+  /**
+   * Backend type. Default is 'canvas'.
+   */
+  type?: 'canvas';
+  /**
+   * The Canvas API key to use
+   */
+  apiKey: string;
+  /**
+   * The ID of the Canvas course that the assignment is a part of
+   */
+  courseId: string | number;
+  /**
+   * The ID of the Canvas assignment
+   */
+  assignmentId: string | number;
+  /**
+   * Base URL of the Canvas instance, needed to download submissions
+   */
+  url?: string;
+};
+export type LocalLmsConfig = {
+  /**
+   * Backend type
+   */
+  type: 'local';
+  /**
+   * Directory with a `submissions.json` manifest. Grades are written to `grades.json` in it.
+   */
+  directory: string;
+};
+/**
+ * Canvas credentials, a local backend or any other `LmsBackend`
+ */
+export type LmsConfig = CanvasConfig | LocalLmsConfig | LmsBackend;
+export type LmsAttachment = {
+  /**
+   * ID of the attachment
+   */
+  id: string;
+  /**
+   * Name the student uploaded it as
+   */
+  filename: string;
+  /**
+   * Where to download it from, a file path for the local backend
+   */
+  url: string;
+};
+export type LmsSubmission = {
+  /**
+   * ID of the student, the Canvas ID for Canvas
+   */
+  studentId: string;
+  /**
+   * Name of the student
+   */
+  name: string;
+  /**
+   * Whether the submission was marked as late
+   */
+  late: boolean;
+  /**
+   * When it was submitted, as an ISO date
+   */
+  submittedAt: string | null;
+  /**
+   * Whether a grade has already been posted for this submission
+   */
+  graded: boolean;
+  /**
+   * Files that were submitted
+   */
+  attachments: LmsAttachment[];
+};
+export type Deduction = {
+  /**
+   * Points deducted
+   */
+  points: number;
+  /**
+   * Reason for deduction
+   */
+  reason: string;
+  /**
+   * Associated error message
+   */
+  error?: string;
+  /**
+   * ID of the rubric section it was recorded in
+   */
+  section?: string | null;
+  /**
+   * ID of the rubric test case it was recorded in
+   */
+  testCase?: string | null;
+};
+export type RubricResult = Deduction & {
+  /**
+   * Type of result
+   */
+  kind: 'deduction' | 'bonus' | 'note';
+  /**
+   * Points the assertion asked to deduct or award, before caps
+   */
+  requested: number;
+  /**
+   * Values that were compared, if the deduction is for a mismatch. Not included in reports.
+   */
+  comparison?: Comparison;
+};
+export type Comparison = {
+  /**
+   * Received value as pretty JSON
+   */
+  received: string;
+  /**
+   * Expected value as pretty JSON
+   */
+  expected: string;
+  /**
+   * Paths at which the values differ, if the error already lists them
+   */
+  differences?: string[];
+};
+export type ReviewConfig = {
+  /**
+   * File the review queue is saved to. Default is 'review.json'.
+   */
+  file?: string;
+  /**
+   * Review the queue in the terminal before uploading. Default is true when run in a terminal.
+   */
+  interactive?: boolean;
+  /**
+   * Queue submissions that couldn't be graded or timed out. Default is true.
+   */
+  crashed?: boolean;
+  /**
+   * Queue submissions that scored zero. Default is true.
+   */
+  zeroScores?: boolean;
+};
+/**
+ * A submission held back from upload until an instructor approves it
+ */
+export type ReviewItem = {
+  /**
+   * File name of the submission
+   */
+  submission: string;
+  /**
+   * Canvas ID of the student, if it could be parsed
+   */
+  canvasId: string | null;
+  /**
+   * Author from the submission's package.json
+   */
+  author: string;
+  /**
+   * Score the grader gave, null if grading did not finish
+   */
+  score: number | null;
+  /**
+   * Comments the grader wrote
+   */
+  comments: string;
+  /**
+   * Error that stopped grading, if any
+   */
+  error: string | null;
+  /**
+   * Why the submission needs review
+   */
+  reasons: string[];
+  /**
+   * Where the submission is in the review
+   */
+  state: 'pending' | 'approved' | 'uploaded';
+  /**
+   * Score set by the instructor, null to keep `score`
+   */
+  finalScore: number | null;
+  /**
+   * Comment added by the instructor
+   */
+  instructorComment: string;
+};
+export type RegradeConfig = {
+  /**
+   * JSON report to compare against. Default is every JSON report in `reportDir`, later ones taking precedence unless grading crashed.
+   */
+  report?: string;
+  /**
+   * Also grade the submissions already moved into `uploaded`. Default is true.
+   */
+  includeUploaded?: boolean;
+  /**
+   * Upload every regraded student instead of only those whose grade or comments changed. Default is false.
+   */
+  uploadUnchanged?: boolean;
+};
+export type FeedbackConfig = {
+  /**
+   * Format of the comments. Default is 'text'.
+   */
+  format?: 'text' | 'markdown' | 'html';
+  /**
+   * Template with `{{placeholder}}`s, or a function building the comments.
+   * Placeholders are `score`, `totalPoints`, `student`, `submission`, `summary` (score of every section),
+   * `sections` (results grouped by section) and `notes`.
+   */
+  template?: string | ((context: FeedbackContext) => string);
+  /**
+   * File to read the template from, instead of `template`.
+   */
+  templateFile?: string;
+  /**
+   * Characters of a `Received` or `Expected` value, or of any other error, shown before it's cut off. Default is 1000.
+   */
+  maxDumpLength?: number;
+  /**
+   * Most differing paths listed when a value is cut off. Default is 10.
+   */
+  maxDifferences?: number;
+};
+/**
+ * Values available to a template, already rendered in the chosen format
+ */
+export type FeedbackContext = {
+  score: string;
+  totalPoints: string;
+  student: string;
+  submission: string;
+  /**
+   * Score of every section
+   */
+  summary: string;
+  /**
+   * Results grouped by section, with each section's score
+   */
+  sections: string;
+  /**
+   * Comments that don't affect the score
+   */
+  notes: string;
+  /**
+   * Every result, unrendered
+   */
+  results: RubricResult[];
+};
+export type RubricSection = {
+  id: string;
+  title: string;
+  /**
+   * Most points that can be lost in the section
+   */
+  points: number;
+};
+export type RubricTestCase = {
+  id: string;
+  section: string | null;
+  title: string;
+  /**
+   * Most points that can be lost in the test case
+   */
+  points: number;
+};
+export type Verb = 'GET'|'POST'|'PATCH'|'PUT'|'DELETE';
+export type Cookie = {
+  name: string;
+  value: string;
+  /**
+   * Path the cookie is sent to, default is '/'
+   */
+  path: string;
+  /**
+   * When the cookie expires, null for session cookies
+   */
+  expires: Date | null;
+  httpOnly: boolean;
+  secure: boolean;
+  /**
+   * Value of the `SameSite` attribute
+   */
+  sameSite: string | null;
+};
+export type AgentRequestOptions = {
+  /**
+   * Headers to send along with the agent's own
+   */
+  headers?: { [name: string]: string };
+  /**
+   * Send an object body as `application/x-www-form-urlencoded` instead of JSON
+   */
+  form?: boolean;
+  /**
+   * Follow redirects, or return the redirect response itself. Default is 'follow'.
+   */
+  redirect?: 'follow' | 'manual';
+};
+export type RequestOptions = AgentRequestOptions & {
+  /**
+   * Agent whose cookies and headers are used. Default is a new agent without cookies.
+   */
+  agent?: HttpAgent;
+};
+export type AgentResponse = {
+  /**
+   * Status code of the final response
+   */
+  status: number;
+  /**
+   * Body of the final response
+   */
+  text: string;
+  /**
+   * Headers of the final response
+   */
+  headers: Headers;
+  /**
+   * URL of the final response
+   */
+  url: string;
+  /**
+   * Absolute URL of the `Location` header, if any
+   */
+  location: string | null;
+  /**
+   * Cookies set by the final response
+   */
+  setCookies: Cookie[];
+  /**
+   * Redirects that were followed
+   */
+  redirects: { status: number, url: string, location: string }[];
+};
+/**
+ * A generated value and the simpler values it can shrink to
+ */
+export type Shrinkable<T> = {
+  value: T;
+  /**
+   * Simpler candidates, simplest first
+   */
+  shrink: () => Iterable<Shrinkable<T>>;
+};
+export type Random = {
+  /**
+   * Number between 0 (inclusive) and 1 (exclusive)
+   */
+  next: () => number;
+  /**
+   * Integer between `min` and `max`, inclusive
+   */
+  int: (min: number, max: number) => number;
+};
+/**
+ * Produces random values for `assertMatchesReference`.
+ */
+export type Generator<T> = {
+  /**
+   * Generates a value. `size` grows from 1 over the runs and caps the length of strings and arrays.
+   */
+  generate: (random: Random, size: number) => Shrinkable<T>;
+};
+export type MatchesReferenceOptions = {
+  /**
+   * Number of inputs generated. Default is 100.
+   */
+  runs?: number;
+  /**
+   * Seed of the generated inputs. Default is the assignment's `randomSeed` and the message.
+   */
+  seed?: string | number;
+  /**
+   * Whether thrown error messages must match the reference's. Default is false.
+   */
+  checkErrorMessages?: boolean;
+  /**
+   * Most simpler inputs tried when shrinking a failing input. Default is 100.
+   */
+  maxShrinks?: number;
+};
+/**
+ * A placeholder inside an expected value that matches received values
+ * more loosely than strict deep equality.
+ */
+export class Matcher {
+  /**
+   * @param {any} display What the matcher is shown as in `Expected:` dumps
+   * @param {Function} match Compares a received value, returning one description per difference
+   * @param {boolean} [text] Whether the matcher matches strings, so response bodies aren't parsed as JSON
+   */
+  constructor(display: any, match: (actual: any, path: string, ignored: Set<string>) => string[], text?: boolean);
+  display: any;
+  match: (actual: any, path: string, ignored: Set<string>) => string[];
+  text: boolean;
+  toJSON(): any;
+}
+/**
+ * Matchers usable inside the expected values of `assertDeepEquals`,
+ * `assertDeepEqualsOptions`, the `assertRequest*` helpers and the
+ * database assertions.
+ */
+export namespace matchers {
+  /**
+   * Lists the paths at which a received value doesn't match an expected
+   * value. Values without matchers must be strictly deep equal.
+   */
+  function compare(actual: any, expected: any, path?: string, ignored?: Set<string>): string[];
+  /**
+   * Numbers within `tolerance` of `value`. Default tolerance is 1e-9.
+   */
+  function closeTo(value: number, tolerance?: number): Matcher;
+  /**
+   * Arrays with the same elements in any order. Elements may be matchers.
+   */
+  function unordered(expected: any[]): Matcher;
+  /**
+   * Strings equal to `expected` ignoring case and differences in whitespace. Both default to true.
+   */
+  function looseString(expected: string, options?: { ignoreCase?: boolean, ignoreWhitespace?: boolean }): Matcher;
+  /**
+   * Strings matching a regular expression.
+   */
+  function matching(pattern: RegExp): Matcher;
+  /**
+   * ObjectIds, and strings that are valid ObjectIds.
+   */
+  function anyObjectId(): Matcher;
+  /**
+   * Any value, as long as it's present and not undefined.
+   */
+  function anything(): Matcher;
+  /**
+   * Values a predicate accepts.
+   */
+  function satisfies(predicate: (actual: any) => boolean, description: string): Matcher;
+  /**
+   * Matches `expected`, skipping the listed keys in objects at any depth.
+   */
+  function ignoreKeys(keys: string | string[], expected: any): Matcher;
+}
+/**
+ * Seeded random input generators for `assertMatchesReference`.
+ */
+export namespace generators {
+  /**
+   * Seeded random number generator, so every run of the grader generates the same inputs.
+   */
+  function createRandom(seed: string | number): Random;
+  /**
+   * Integers between `min` and `max`, inclusive. Shrinks toward 0.
+   */
+  function integer(options?: { min?: number, max?: number }): Generator<number>;
+  /**
+   * Floating point numbers between `min` and `max`. Shrinks toward 0 and whole numbers.
+   */
+  function number(options?: { min?: number, max?: number }): Generator<number>;
+  function boolean(): Generator<boolean>;
+  /**
+   * Always the same value.
+   */
+  function constant<T>(value: T): Generator<T>;
+  /**
+   * One of a list of values. Shrinks toward the first.
+   */
+  function elements<T>(values: T[]): Generator<T>;
+  /**
+   * Values from one of several generators, chosen at random.
+   */
+  function oneOf<T>(...generators: Generator<T>[]): Generator<T>;
+  /**
+   * Transforms generated values. Shrinking happens before the transformation.
+   */
+  function map<T, U>(generator: Generator<T>, fn: (value: T) => U): Generator<U>;
+  /**
+   * Arrays of values from a generator. Shrinks toward fewer and simpler elements.
+   */
+  function array<T>(generator: Generator<T>, options?: { minLength?: number, maxLength?: number }): Generator<T[]>;
+  /**
+   * Strings made of the given characters, default is letters, digits and space.
+   */
+  function string(options?: { minLength?: number, maxLength?: number, chars?: string }): Generator<string>;
+  /**
+   * Arrays with one value from each generator, such as the arguments of a function.
+   */
+  function tuple(...generators: Generator<any>[]): Generator<any[]>;
+  /**
+   * Objects with a value from each generator under its key.
+   */
+  function object(shape: { [key: string]: Generator<any> }): Generator<object>;
+  /**
+   * JSON-like values: strings, numbers, booleans, null, and arrays and objects nesting them.
+   */
+  function json(options?: { maxDepth?: number }): Generator<any>;
+  /**
+   * Values of the wrong type, for checking input validation. Values whose type is one of `allowed` are left out.
+   */
+  function invalid(...allowed: ('undefined'|'null'|'number'|'string'|'boolean'|'array'|'object')[]): Generator<any>;
+}
+/**
+* Run the autograder.
+* @param {string} submissionsDir Directory containing all student submissions as zip or tar archives, directories or single files
+* @param {Grader} GraderClass Grader class, must override the one provided in this package
+* @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+* @param {LmsConfig} [canvasConfig] Canvas credentials or another LMS backend
+* @returns {void}
+*/
+export function autoGrade(submissionsDir: string, GraderClass: Grader, assignmentConfig?: AssignmentConfig, canvasConfig?: LmsConfig): Promise<void>;
+/**
+ * Upload the grades of a previously saved JSON report. Only submissions
+ * that were graded and have a Canvas ID are uploaded.
+ * @param {string} reportFile Path to a JSON report written by `autoGrade`
+ * @param {string} submissionsDir Directory containing the graded submissions
+ * @param {LmsConfig} canvasConfig Canvas credentials or another LMS backend
+ * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+ */
+export function uploadReport(reportFile: string, submissionsDir: string, canvasConfig: LmsConfig, assignmentConfig?: AssignmentConfig): Promise<void>;
+/**
+ * Review the pending submissions of a saved review queue in the terminal,
+ * then upload every approved submission that wasn't uploaded yet.
+ * @param {string} queueFile Path to a review queue written by `autoGrade`
+ * @param {string} submissionsDir Directory containing the graded submissions
+ * @param {LmsConfig} [canvasConfig] Canvas credentials or another LMS backend. Nothing is uploaded without one.
+ * @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
+ */
+export function reviewQueue(queueFile: string, submissionsDir: string, canvasConfig?: LmsConfig | null, assignmentConfig?: AssignmentConfig): Promise<void>;
+/**
+ * Download every submission from the LMS into the submissions directory,
+ * named like Canvas names them in its bulk download. Files that are
+ * already there or in `uploaded` are not downloaded again, and files
+ * from a student's earlier submissions are removed.
+ * @param {LmsConfig} canvasConfig Canvas credentials or another LMS backend
+ * @param {string} submissionsDir Directory to download the submissions into
+ * @returns Names of the downloaded files
+ */
+export function downloadSubmissions(canvasConfig: LmsConfig, submissionsDir: string): Promise<string[]>;
+
+/**
+ * Interface between the grader and a learning management system.
+ * Extend it to add a backend.
+ */
+export class LmsBackend {
+  /**
+   * List every submission to the assignment.
    */
-  runStartScript?: boolean;
+  listSubmissions(): Promise<LmsSubmission[]>;
   /**
-   * Names of all the files (including extensions) that must be present in the submission. Grading will fail if any are absent.
+   * Save a submitted file.
+   * @param {LmsAttachment} attachment File to download
+   * @param {string} destination Path to save it to
    */
-  requiredFiles?: string[];
+  download(attachment: LmsAttachment, destination: string): Promise<void>;
   /**
-   * Names of all the collections that must be present in the database. Grading will fail if any are absent.
+   * Queue a grade to be sent by `sendGrades`.
+   * @param {string} studentId ID of the student
+   * @param {number} grade Grade to give
+   * @param {string} comments Comments for the student
    */
-  requiredCollections?: string[];
+  addGrade(studentId: string, grade: number, comments: string): void;
   /**
-   * Specifies if the package.json file should be checked for existence and required properties. Default is true.
+   * Send every queued grade.
+   * @param {boolean} [commentsAsFiles] Upload comments as files instead of comment text
+   * @param {string} [extension] Extension of comment files, matching the feedback format. Default is 'txt'.
    */
-  checkPackage?: boolean;
+  sendGrades(commentsAsFiles?: boolean, extension?: string): Promise<void>;
   /**
-   * Whether or not to enable database grading features. Default is false.
+   * Throws if grades can't be sent with these settings, so a bad configuration is reported before anything is graded.
+   * @param {boolean} [commentsAsFiles] Upload comments as files instead of comment text
+   * @param {string} [extension] Extension of comment files, matching the feedback format. Default is 'txt'.
    */
-  hasDatabase?: boolean;
+  checkUpload(commentsAsFiles?: boolean, extension?: string): void;
   /**
-   * MongoDB connection string. Default is 'mongodb://localhost:27017/'.
+   * IDs of the students whose current submission already has a grade.
    */
-  connectionString?: string;
+  gradedStudents(): Promise<Set<string>>;
   /**
-   * If true, comments will be uploaded in text files instead of as raw comment text. Default is false.
+   * When each student's current submission was submitted, as ISO dates by student ID.
    */
-  commentsAsFiles?: true;
-};
-export type CanvasConfig = {
+  submissionTimes(): Promise<Map<string, string>>;
+}
+/**
+ * Canvas backend. Grades go through canvas-scripts' `BulkGradeUpdater`,
+ * submissions are listed and downloaded with the Canvas REST API.
+ */
+export class CanvasBackend extends LmsBackend {
+  constructor(config: CanvasConfig);
   /**
-   * The Canvas API key to use for grade uploads
+   * Connects the grade updater.
    */
-  apiKey: string;
+  connect(): Promise<CanvasBackend>;
+}
+/**
+ * Backend that reads submissions from a directory and writes grades to
+ * a JSON file, for running the whole flow offline.
+ */
+export class LocalBackend extends LmsBackend {
+  constructor(config: LocalLmsConfig);
+  directory: string;
+}
+
+/**
+ * HTTP client that keeps cookies between requests, like a browser
+ * session of one user. Redirects are followed by the agent itself so
+ * cookies set along the way aren't lost.
+ */
+export class HttpAgent {
   /**
-   * The ID of the Canvas course that the assignment is a part of
+   * @param {string} [options.baseUrl] URL relative request URLs are resolved against
+   * @param {object} [options.headers] Headers sent with every request
+   * @param {Function} [options.connectionError] Builds the error thrown when the server can't be reached
+   * @param {Function} [options.serialize] Turns a JSON body into text. Default is `JSON.stringify`.
    */
-  courseId: string | number;
+  constructor(options?: { baseUrl?: string, headers?: { [name: string]: string }, connectionError?: (method: string, url: string, error: Error) => Error, serialize?: (body: any) => string });
+  baseUrl?: string;
+  headers: { [name: string]: string };
+  cookies: Map<string, Cookie>;
   /**
-   * The ID of the Canvas assignment
+   * Value of a cookie in the jar.
+   * @param {string} name Name of the cookie
    */
-  assignmentId: string | number;
-};
-export type Verb = 'GET'|'POST'|'PATCH'|'PUT'|'DELETE';
+  cookie(name: string): string | undefined;
+  /**
+   * Puts a cookie into the jar, such as a forged session ID.
+   * @param {string} name Name of the cookie
+   * @param {string} value Value of the cookie
+   */
+  setCookie(name: string, value: string): void;
+  /**
+   * Forgets every cookie, like logging out by closing the browser.
+   */
+  clearCookies(): void;
+  /**
+   * Makes a request with the agent's cookies and headers.
+   * @param {string} url URL to request, relative to the base URL if not absolute
+   * @param {string} [method] Request method, default is 'GET'
+   * @param {any} [body] Request body. Strings are sent as is, other values as JSON or a form.
+   * @param {AgentRequestOptions} [options] Headers, body encoding and redirect handling
+   */
+  request(url: string, method?: string, body?: any, options?: AgentRequestOptions): Promise<AgentResponse>;
+}
+
 /**
-* Run the autograder.
-* @param {string} submissionsDir Directory containing all student submissions as zip files
-* @param {Grader} GraderClass Grader class, must override the one provided in this package
-* @param {AssignmentConfig} [assignmentConfig] Assignment-specific configuration
-* @param {CanvasConfig} [canvasConfig] Canvas credentials
-* @returns {void}
-*/
-export function autoGrade(submissionsDir: string, GraderClass: Grader, assignmentConfig?: AssignmentConfig, canvasConfig?: CanvasConfig): Promise<void>;
+ * Console output of a submission, or of a single test case.
+ */
+declare class OutputCapture {
+  /**
+   * @param {OutputCapture} [options.parent] Capture that receives everything written to this one too
+   * @param {Function} [options.echo] Also passes output on, e.g. to print it
+   */
+  constructor(options?: { parent?: OutputCapture | null, echo?: ((stream: 'stdout' | 'stderr', text: string) => void) | null });
+  entries: { stream: 'stdout' | 'stderr', text: string }[];
+  /**
+   * Records the output of one console call.
+   * @param {'stdout'|'stderr'} stream Stream written to
+   * @param {string} text Formatted output, without the trailing newline
+   */
+  write(stream: 'stdout' | 'stderr', text: string): void;
+  /**
+   * Every line written, from both streams.
+   */
+  readonly lines: string[];
+  /**
+   * Everything written, cut off after a while.
+   */
+  readonly text: string;
+  /**
+   * Runs a function with the console output of everything it starts,
+   * including timers and promises, written to this capture.
+   * @param {Function} fn Function to run
+   */
+  run<T>(fn: () => T): T;
+  /**
+   * The capture of the code currently running, if any.
+   */
+  static current(): OutputCapture | undefined;
+}
+
+/**
+ * Runs student modules inside a worker thread. Modules are described
+ * to the grader by their shape, and every exported function is replaced
+ * by an async stub that executes the real function in the worker.
+ */
+declare class Sandbox {
+  constructor(resourceLimits?: import("node:worker_threads").ResourceLimits);
+  /**
+   * Receives console output the worker writes outside of any request,
+   * such as from timers that outlive a call.
+   */
+  capture: OutputCapture | null;
+  /**
+   * Imports a module inside the worker and builds a local stand-in for it.
+   * @param {string} url File URL of the module
+   */
+  import(url: string): Promise<any>;
+  /**
+   * Calls an exported function inside the worker.
+   * @param {string} url File URL of the module
+   * @param {string[]} keyPath Property path to the function
+   * @param {any[]} args Arguments to call the function with
+   */
+  call(url: string, keyPath: string[], args: any[]): Promise<any>;
+  /**
+   * Stops the worker. Any stand-ins created earlier keep working, the
+   * next call starts a fresh worker and imports the module again.
+   */
+  terminate(): Promise<void>;
+}
+
+/**
+ * Tracks the point structure of an assignment and every result
+ * recorded while grading it.
+ */
+declare class Rubric {
+  constructor(totalPoints?: number, maxBonus?: number);
+  totalPoints: number;
+  maxBonus: number;
+  sections: Map<string, RubricSection>;
+  testCases: Map<string, RubricTestCase>;
+  results: RubricResult[];
+  addSection(id: string, title?: string, points?: number): RubricSection;
+  addTestCase(id: string, section?: string | null, title?: string, points?: number): RubricTestCase;
+  deduct(points: number, reason: string, error?: string, section?: string | null, testCase?: string | null, comparison?: Comparison): RubricResult;
+  bonus(points: number, reason: string, section?: string | null): RubricResult;
+  note(text: string): RubricResult;
+  readonly deductions: RubricResult[];
+  readonly score: number;
+  sectionScores(): { section: RubricSection, earned: number }[];
+  /**
+   * Renders the results as comment lines.
+   */
+  render(): string[];
+}
 
 /**
  * Do not instantiate this class. Extend it and implement
@@ -76,6 +1173,7 @@ export class Grader {
   defaultStartScript: any;
   runStartScript: any;
   checkPackage: any;
+  packagePolicy: PackagePolicy;
   packageJson: any;
   hadModules: boolean;
   directory: string;
@@ -83,16 +1181,157 @@ export class Grader {
   module: boolean;
   startScript: string;
   subprocess: import("node:child_process").ChildProcessWithoutNullStreams;
-  score: number;
-  comments: any[];
+  /**
+   * Recent stdout and stderr of the student server.
+   */
+  serverOutput: string;
+  /**
+   * How the student server exited, if it stopped on its own.
+   */
+  serverExit: { code?: number | null, signal?: string | null, error?: string } | null;
+  healthCheck: string | null;
+  startTimeout: number;
+  resourceLimits: ResourceLimits;
+  /**
+   * Which limit the student server exceeded, if it was stopped for one.
+   */
+  resourceLimitExceeded: string | null;
+  browserConfig: BrowserConfig;
+  /**
+   * This submission's browser context, created by the first `newPage` call.
+   */
+  browserContext: BrowserContext | null;
+  screenshotDir: string | null;
+  /**
+   * Screenshots saved for failed browser assertions.
+   */
+  screenshots: string[];
+  /**
+   * Reasons given to `flagForReview`.
+   */
+  reviewFlags: string[];
+  /**
+   * The student's current grade.
+   */
+  readonly score: number;
+  /**
+   * Comment lines rendered from the rubric results.
+   */
+  readonly comments: string[];
+  /**
+   * Comments for the student, rendered with the `feedback` configuration
+   * if the assignment has one.
+   */
+  feedback(): string;
+  feedbackConfig?: FeedbackConfig;
+  /**
+   * Every deduction made so far, in order.
+   */
+  readonly deductions: RubricResult[];
+  rubric: Rubric;
+  /**
+   * Whether other submissions are being graded at the same time.
+   */
+  concurrent: boolean;
+  /**
+   * Port the student server is started on, passed to it as the `PORT` environment variable.
+   */
+  port: number;
+  /**
+   * Base URL of the student server, using the port assigned to this grader.
+   */
+  readonly baseUrl: string;
+  /**
+   * Where grader output for this submission is written.
+   */
+  logger: Pick<Console, 'log' | 'error'>;
+  consoleOutput: 'print' | 'hide' | 'report';
+  /**
+   * Console output of the student's code for this submission.
+   */
+  output: OutputCapture;
+  htmlValidation: HtmlValidationConfig;
+  latePolicy?: LatePolicy;
+  /**
+   * The submission being graded, set by `autoGrade`.
+   */
+  submission: SubmissionInfo | null;
+  /**
+   * Results recorded from the reference solution, keyed by test ID.
+   */
+  snapshotEntries: { [id: string]: SnapshotEntry } | null;
+  /**
+   * Results being recorded when grading the reference solution.
+   */
+  recordedEntries: { [id: string]: SnapshotEntry } | null;
+  htmlValidator: HtmlValidator;
+  currentSection: string | null;
+  currentTestCase: string | null;
   db: import("mongodb").Db;
+  testCaseTimeout: number;
+  submissionTimeout: number;
   /**
-   * Deduct points from the student's grade.
+   * Seed of the inputs `assertMatchesReference` generates.
+   */
+  randomSeed: string | number;
+  /**
+   * Whether grading stopped because the submission exceeded `submissionTimeout`.
+   */
+  timedOut: boolean;
+  /**
+   * Worker running the student's modules when `isolate` is enabled.
+   */
+  sandbox: Sandbox | null;
+  /**
+   * Deduct points from the student's grade. The deduction is recorded
+   * in the current section and test case, if any.
    * @param {number} points Points to deduct
    * @param {string} reason Reason for deduction
    * @param {string} [error] Associated error message
+   * @param {{ received: any, expected: any, differences?: string[] }} [comparison] Values that didn't match. Lets the
+   *   feedback list only the differences when they are too large to show whole.
+   */
+  deductPoints(points: number, reason: string, error?: string, comparison?: { received: any, expected: any, differences?: string[] }): void;
+  /**
+   * Hold the submission back from upload until an instructor has
+   * reviewed it. Doesn't affect the grade.
+   * @param {string} reason Why the submission needs review
    */
-  deductPoints(points: number, reason: string, error?: string): void;
+  flagForReview(reason: string): void;
+  /**
+   * Award bonus points, up to `maxBonus` in total.
+   * @param {number} points Points to award
+   * @param {string} reason Reason for the bonus
+   */
+  awardBonus(points: number, reason: string): void;
+  /**
+   * Add a comment that doesn't affect the grade.
+   * @param {string} text Comment text
+   */
+  addComment(text: string): void;
+  /**
+   * Run test cases as part of a rubric section. Deductions made while
+   * `fn` runs count against the section and can't exceed its points.
+   * @param {string} id Unique ID of the section
+   * @param options Section title and point budget. With `resetDatabase`, the database is
+   *   emptied and optionally seeded before the section runs.
+   * @param fn Test cases belonging to the section
+   */
+  section(id: string, options: { title?: string, points?: number, resetDatabase?: boolean, seed?: Fixtures }, fn: () => Promise<void>): Promise<void>;
+  /**
+   * Run assertions as a single registered test case in the current
+   * section. Deductions made while `fn` runs can't exceed its points.
+   * @param {string} id Unique ID of the test case
+   * @param options Test case title and point value
+   * @param fn Assertions belonging to the test case
+   */
+  testCase(id: string, options: { title?: string, points?: number }, fn: () => Promise<void>): Promise<void>;
+  /**
+   * Runs a test case, rejecting with a `TimeoutError` if it takes
+   * longer than `testCaseTimeout` milliseconds.
+   * @param {(()=>T)} testCase The test case to run
+   */
+  runTestCase<T>(testCase: (() => T)): Promise<Awaited<T>>;
   /**
    * Run a deep equality assertion test case.
    * @param {number} points Points the test case is worth
@@ -113,6 +1352,30 @@ export class Grader {
    * @param {number} [typePoints] Points to deduct for an incorrect error type
    */
   assertThrows(points: number, message: string, testCase: (() => any), expectedMessage?: string, messagePoints?: number, expectedType?: Error, typePoints?: number): Promise<void>;
+  /**
+   * Asserts that a test case prints certain lines to the console, in
+   * order. Lines printed by `console.log`, `info`, `debug`, `warn` and
+   * `error` are all compared.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {(()=>any)} testCase The test case
+   * @param {(string|RegExp|Matcher)[]} expectedLines Lines expected to be printed
+   */
+  assertLogs(points: number, message: string, testCase: (() => any), expectedLines: (string | RegExp | Matcher)[]): Promise<void>;
+  /**
+   * Compares a student function to a reference implementation on many
+   * inputs. Return values are compared like `assertDeepEquals`, and when
+   * the reference throws the student function must throw as well. With a
+   * generator of inputs, a failing input is shrunk to the simplest one
+   * that still fails, and the seed reproduces it.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {Function} studentFn Student's function
+   * @param {Function} referenceFn Reference implementation
+   * @param {any[][]|Generator<any[]>} inputs Argument lists, or a generator of them like `tuple(...)`
+   * @param {MatchesReferenceOptions} [options] Number of runs, seed and shrinking
+   */
+  assertMatchesReference<A extends any[]>(points: number, message: string, studentFn: (...args: A) => any, referenceFn: (...args: A) => any, inputs: A[] | Generator<A>, options?: MatchesReferenceOptions): Promise<void>;
   /**
    * Run a deep equality assertion test case with multiple acceptable outputs.
    * @param {number} points Points the test case is worth
@@ -121,13 +1384,51 @@ export class Grader {
    * @param {T[]} expectedValues An array of all possible anticipated results of `testCase`
    */
   assertDeepEqualsOptions<T>(points: number, message: string, testCase: (() => T), expectedValues: T[]): Promise<void>;
+  /**
+   * Compares a test case against the result the reference solution
+   * produced for the same test ID. When recording the snapshot, the
+   * result is stored instead and nothing is deducted.
+   * @param {number} points Points the test case is worth
+   * @param {string} id Unique test ID the result is recorded under
+   * @param {string} message Message to print before error text
+   * @param {(()=>any)} testCase The test case
+   */
+  assertSnapshot(points: number, id: string, message: string, testCase: (() => any)): Promise<void>;
+  /**
+   * HTTP agents by user name.
+   */
+  agents: Map<string, HttpAgent>;
+  /**
+   * Error thrown when a request can't reach the student server.
+   * @param {string} method Request method
+   * @param {string} url Requested URL
+   */
+  connectionError(method: string, url: string): Error;
+  /**
+   * HTTP agent with its own cookie jar, for acting as one user across
+   * requests. The same agent is returned for the same name until the
+   * submission is done, so logging in once keeps the session.
+   * @param {string} [name] Name of the user, default is 'default'
+   * @param {object} [headers] Headers sent with every request of a new agent
+   */
+  agent(name?: string, headers?: { [name: string]: string }): HttpAgent;
+  /**
+   * Make a request and get the full response. Without an agent in the
+   * options, the request is sent without cookies.
+   * @param {string} url URL to request, relative to the server if not absolute
+   * @param {Verb} [method] Request method to use (default 'GET')
+   * @param {any} [body] Request body (stringified automatically if needed)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
+   */
+  send(url: string, method?: Verb, body?: any, options?: RequestOptions): Promise<AgentResponse>;
   /**
    * Make a request and get the response status and body.
    * @param {string} url The URL to make a request to
    * @param {Verb} [method] Request method to use (default 'GET')
    * @param {any} [body] Request body (automatically stringified if necessary)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
    */
-  request(url: string, method: Verb, body: any): Promise<[number, string]>;
+  request(url: string, method?: Verb, body?: any, options?: RequestOptions): Promise<[number, string]>;
   /**
    * Asserts that a response is ok (status 200) and has the specified body.
    * @param {number} points Points the test case is worth
@@ -135,8 +1436,9 @@ export class Grader {
    * @param {Verb} method Request method to use 
    * @param {any} body Request body (stringified automatically if needed)
    * @param {any} expectedValue Expected response body (can be any type)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
    */
-  assertRequestDeepEquals(points: number, url: string, method: Verb, body: any, expectedValue: any): Promise<void>;
+  assertRequestDeepEquals(points: number, url: string, method: Verb, body: any, expectedValue: any, options?: RequestOptions): Promise<void>;
   /**
    * Asserts that a response is ok (status 200) and has the specified body.
    * Ignores the `_id` key while checking equality, then returns the value
@@ -146,9 +1448,10 @@ export class Grader {
    * @param {Verb} method Request method to use 
    * @param {any} body Request body (stringified automatically if needed)
    * @param {any} expectedValue Expected response body (can be any type)
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
    * @return The value of the `_id` property
    */
-  assertRequestDeepEqualsWithoutId(points: number, url: string, method: Verb, body: any, expectedValue: any): Promise<string>;
+  assertRequestDeepEqualsWithoutId(points: number, url: string, method: Verb, body: any, expectedValue: any, options?: RequestOptions): Promise<string>;
   /**
    * Asserts that a request response has a certain status code.
    * @param {number} points Points the test case is worth
@@ -156,8 +1459,44 @@ export class Grader {
    * @param {Verb} method Request method to use 
    * @param {any} body Request body (stringified automatically if needed)
    * @param {number} expectedStatus Status code that response should have
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
+   */
+  assertRequestStatus(points: number, url: string, method: Verb, body: any, expectedStatus: number, options?: RequestOptions): Promise<void>;
+  /**
+   * Asserts that a request is answered with a redirect to a location.
+   * The redirect itself is not followed.
+   * @param {number} points Points the test case is worth
+   * @param {string} url URL to request
+   * @param {Verb} method Request method to use
+   * @param {any} body Request body (stringified automatically if needed)
+   * @param {string} expectedLocation Expected URL or path. The query is only compared if given.
+   * @param {RequestOptions} [options] Agent, headers and form body
+   */
+  assertRedirect(points: number, url: string, method: Verb, body: any, expectedLocation: string, options?: RequestOptions): Promise<void>;
+  /**
+   * Asserts that a response has a header with a certain value.
+   * @param {number} points Points the test case is worth
+   * @param {string} url URL to request
+   * @param {Verb} method Request method to use
+   * @param {any} body Request body (stringified automatically if needed)
+   * @param {string} name Name of the header
+   * @param {string|RegExp|Matcher} expectedValue Expected value of the header
+   * @param {RequestOptions} [options] Agent, headers, form body and redirect handling
+   */
+  assertHeader(points: number, url: string, method: Verb, body: any, name: string, expectedValue: string | RegExp | Matcher, options?: RequestOptions): Promise<void>;
+  /**
+   * Asserts that a response sets a cookie, optionally with certain
+   * attributes. The response is checked before any redirect is followed.
+   * @param {number} points Points the test case is worth
+   * @param {string} url URL to request
+   * @param {Verb} method Request method to use
+   * @param {any} body Request body (stringified automatically if needed)
+   * @param {string} name Name of the cookie
+   * @param {object} [expectedAttributes] Expected value and attributes of the cookie, which may be matchers. Unlisted ones aren't checked.
+   * @param {RequestOptions} [options] Agent, headers and form body
+   * @returns Value of the cookie, if it was set
    */
-  assertRequestStatus(points: number, url: string, method: Verb, body: any, expectedStatus: number): Promise<void>;
+  assertSetCookie(points: number, url: string, method: Verb, body: any, name: string, expectedAttributes?: { value?: any, path?: any, httpOnly?: boolean, secure?: boolean, sameSite?: any }, options?: RequestOptions): Promise<string | undefined>;
   /**
    * Runs a provided assertion, removing the _id attribute from the result
    * of `testCase()` first and then returning it after the assertion completes.
@@ -170,7 +1509,9 @@ export class Grader {
    */
   assertWithoutId(points: number, message: string, testCase: any, expectedValue: any, assertion: any): Promise<string>;
   /**
-   * Asserts that a page has no HTML validation errors
+   * Asserts that a page has no HTML validation errors. The first few
+   * errors are quoted in the comment, and the deduction is scaled by
+   * the number of errors if `pointsPerError` is configured.
    * @param {number} points Points to deduct for invalid HTML
    * @param {string} rawHTML Raw text of the page as a string
    * @param {string} pageName Name to print in comment
@@ -185,6 +1526,146 @@ export class Grader {
    * @returns {Promise<HTTPResponse>}
    */
   interceptRequest(page: Page, location: string, handler: ((req: HTTPRequest)=>any)): Promise<HTTPResponse>;
+  /**
+   * Opens a page in this submission's own browser context. The shared
+   * browser is launched on first use and the context is closed during cleanup.
+   * @param {string} [location] URL or path relative to the server to go to
+   */
+  newPage(location?: string): Promise<Page>;
+  /**
+   * Deduct points for a failed browser assertion and save a screenshot
+   * of the page next to the report.
+   * @param {Page} page Page the assertion ran on
+   * @param {number} points Points to deduct
+   * @param {string} reason Reason for deduction
+   * @param {string} [error] Associated error message
+   */
+  deductWithScreenshot(page: Page, points: number, reason: string, error?: string): Promise<void>;
+  /**
+   * Asserts that the text of an element matches. Whitespace is collapsed
+   * before comparing.
+   * @param {number} points Points the test case is worth
+   * @param {Page} page Puppeteer page
+   * @param {string} selector CSS selector of the element
+   * @param {string|RegExp} expectedText Expected text, or a pattern it must match
+   */
+  assertElementText(points: number, page: Page, selector: string, expectedText: string | RegExp): Promise<void>;
+  /**
+   * Fills in the fields of a form. Fields are found by name, or by
+   * selector within the form. Checkboxes take booleans, radio buttons
+   * and selects take the value to choose.
+   * @param {Page} page Puppeteer page
+   * @param {string} formSelector CSS selector of the form
+   * @param {FormValues} values Values keyed by field name or selector
+   */
+  fillForm(page: Page, formSelector: string, values: FormValues): Promise<ElementHandle>;
+  /**
+   * Fills in a form, submits it and waits for the resulting navigation.
+   * @param {Page} page Puppeteer page
+   * @param {string} formSelector CSS selector of the form
+   * @param {FormValues} values Values keyed by field name or selector
+   * @param {string} [submitSelector] Button to click, default is the form's submit button
+   * @returns Response of the navigation, null if the page didn't navigate
+   */
+  fillAndSubmitForm(page: Page, formSelector: string, values: FormValues, submitSelector?: string): Promise<HTTPResponse | null>;
+  /**
+   * Submits a form by clicking its submit button.
+   * @param {Page} page Puppeteer page
+   * @param {ElementHandle} form The form
+   * @param {string} [submitSelector] Button to click, default is the form's submit button
+   */
+  submitForm(page: Page, form: ElementHandle, submitSelector?: string): Promise<void>;
+  /**
+   * Asserts that the page ends up at a location after navigating or
+   * running an action, such as submitting a form.
+   * @param {number} points Points the test case is worth
+   * @param {Page} page Puppeteer page
+   * @param {string|(() => Promise<any>)} action URL or path to go to, or a function that navigates
+   * @param {string} expectedLocation Expected URL or path. The query is only compared if given.
+   */
+  assertRedirectsTo(points: number, page: Page, action: string | (() => Promise<any>), expectedLocation: string): Promise<void>;
+  /**
+   * Asserts that client-side validation stops a form with invalid input
+   * from being sent to the server, and optionally that an error is shown.
+   * @param {number} points Points the test case is worth
+   * @param {Page} page Puppeteer page
+   * @param {string} formSelector CSS selector of the form
+   * @param {FormValues} values Invalid values keyed by field name or selector
+   * @param {string} [errorSelector] Element that must become visible with an error message
+   * @param {string} [submitSelector] Button to click, default is the form's submit button
+   */
+  assertClientSideValidation(points: number, page: Page, formSelector: string, values: FormValues, errorSelector?: string, submitSelector?: string): Promise<void>;
+  /**
+   * Paths of the submission's files matching glob patterns, relative to
+   * the submission root. node_modules is never included.
+   * @param {string|string[]} patterns Glob patterns
+   */
+  sourceFiles(patterns: string | string[]): Promise<string[]>;
+  /**
+   * Parses every matching file and deducts points once if `find` reports
+   * anything, quoting the file and line of the first few findings.
+   * Files that can't be parsed count as findings.
+   * @param {number} points Points to deduct
+   * @param {string} reason Reason for deduction
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param find Returns what breaks the rule in a file
+   */
+  assertStatic(points: number, reason: string, patterns: string | string[], find: (ast: import("acorn").Program, file: string) => Finding[]): Promise<void>;
+  /**
+   * Asserts that a file exports a function under a name.
+   * @param {number} points Points the test case is worth
+   * @param {string} file File path relative to the submission root
+   * @param {string} name Export name, 'default' for the default export
+   */
+  assertExportsFunction(points: number, file: string, name: string): Promise<void>;
+  /**
+   * Asserts that global names such as `eval` aren't used, unless the file
+   * declares its own.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {string[]} names Forbidden globals
+   */
+  assertNoGlobals(points: number, patterns: string | string[], names: string[]): Promise<void>;
+  /**
+   * Asserts that modules aren't imported or required. `fs` also
+   * forbids `node:fs` and `fs/promises`.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {string[]} modules Forbidden modules
+   */
+  assertNoModules(points: number, patterns: string | string[], modules: string[]): Promise<void>;
+  /**
+   * Asserts that members aren't used. `Array.prototype.sort` forbids
+   * every `sort` method, `console.log` forbids just that path.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the files to check
+   * @param {string[]} members Forbidden members as dotted paths
+   */
+  assertNoMembers(points: number, patterns: string | string[], members: string[]): Promise<void>;
+  /**
+   * Asserts that no `console.log` calls were left in route code.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} [patterns] Glob patterns of the files to check, default is 'routes/**\/*.js'
+   */
+  assertNoConsoleLog(points: number, patterns?: string | string[]): Promise<void>;
+  /**
+   * Asserts that each named function calls at least one of the callees,
+   * for example to validate its input.
+   * @param {number} points Points the test case is worth
+   * @param {string} file File path relative to the submission root
+   * @param {string[]} functionNames Functions that must make the call
+   * @param {string[]} callees Names or dotted paths of acceptable calls
+   */
+  assertFunctionsCall(points: number, file: string, functionNames: string[], callees: string[]): Promise<void>;
+  /**
+   * Asserts that every Express route handler calls at least one of the
+   * callees, for example to validate its input.
+   * @param {number} points Points the test case is worth
+   * @param {string|string[]} patterns Glob patterns of the route files
+   * @param {string[]} callees Names or dotted paths of acceptable calls
+   * @param {string[]} [methods] Route methods to check, default is post, put and patch
+   */
+  assertRoutesCall(points: number, patterns: string | string[], callees: string[], methods?: string[]): Promise<void>;
   /**
    * Builds a file URL from a relative file path for a file in a submission
    * @param {string} relativeFile Relative file path from submission root
@@ -199,10 +1680,31 @@ export class Grader {
   importJSON(relativePath: string): Promise<any>;
   /**
    * Import a javascript file from a relative location in the student submission.
+   * When the assignment is isolated, the module is loaded in a worker thread
+   * and its exported functions become async functions that run there.
    * @param {string} relativePath Relative file path from submission root
    * @param {boolean} [oneTime] Bypasses the cache and does a fresh import
    */
   importFile(relativePath: string, oneTime?: boolean): Promise<any>;
+  /**
+   * The last lines the student server wrote to stdout and stderr.
+   * @param {number} [lines] Number of lines to return, default is 20
+   */
+  serverLog(lines?: number): string;
+  /**
+   * Describes how the student server exited, quoting its last output.
+   */
+  serverCrashReport(): string;
+  /**
+   * Stops the student server if it's over the memory or CPU time limit.
+   * Called periodically while the server runs.
+   */
+  checkResources(subprocess: import("node:child_process").ChildProcess): Promise<void>;
+  /**
+   * Checks whether the student server is accepting requests, using the
+   * health check URL if configured, otherwise the port.
+   */
+  serverReady(): Promise<boolean>;
   /**
    * Called internally by the grading framework.
    */
@@ -211,6 +1713,65 @@ export class Grader {
    * Called internally by the grading framework.
    */
   checks(): Promise<void>;
+  fixturesDir: string;
+  /**
+   * Throws if the database isn't connected.
+   */
+  requireDatabase(): import("mongodb").Db;
+  /**
+   * Insert fixture documents into a collection. ObjectIds and dates are
+   * revived from Extended JSON (`{ $oid }`, `{ $date }`) or `{ oid }`.
+   * @param {string} collection Name of the collection
+   * @param fixture Documents, or the path to a JSON file of them relative to `fixturesDir`
+   * @returns The inserted documents
+   */
+  seedCollection(collection: string, fixture: string | object[]): Promise<object[]>;
+  /**
+   * Seed several collections at once.
+   * @param fixtures Map of collection names to fixtures, or a directory relative to
+   *   `fixturesDir` containing one `<collection>.json` file per collection
+   */
+  seedDatabase(fixtures: Fixtures): Promise<void>;
+  /**
+   * Empty every collection so earlier test cases can't affect later ones.
+   * @param [fixtures] Fixtures to seed afterwards
+   */
+  resetDatabase(fixtures?: Fixtures): Promise<void>;
+  /**
+   * Asserts that a collection has a certain number of documents matching a filter.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {string} collection Name of the collection
+   * @param {object} filter Query filter, `{}` for every document
+   * @param {number} expectedCount Expected number of matching documents
+   */
+  assertDocumentCount(points: number, message: string, collection: string, filter: object, expectedCount: number): Promise<void>;
+  /**
+   * Asserts that the first document matching a filter equals the expected
+   * document, ignoring `_id` and any other listed generated fields.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {string} collection Name of the collection
+   * @param {object} filter Query filter selecting the document
+   * @param {object} expected Expected document
+   * @param {string[]} [ignore] Keys to ignore at any depth, default is `['_id']`
+   */
+  assertDocumentMatches(points: number, message: string, collection: string, filter: object, expected: object, ignore?: string[]): Promise<void>;
+  /**
+   * Asserts that a collection contains every expected document, ignoring
+   * `_id` and any other listed generated fields. Extra documents are allowed.
+   * @param {number} points Points the test case is worth
+   * @param {string} message Message to print before error text
+   * @param {string} collection Name of the collection
+   * @param {object[]} expectedDocuments Documents that must be present
+   * @param {string[]} [ignore] Keys to ignore at any depth, default is `['_id']`
+   */
+  assertCollectionContains(points: number, message: string, collection: string, expectedDocuments: object[], ignore?: string[]): Promise<void>;
+  /**
+   * Deducts the late penalty, if any, for the submission being graded.
+   * Called internally by the grading framework after the test cases.
+   */
+  applyLatePolicy(): void;
   /**
    * Override this with assignment-specific implementation.
    */
@@ -233,4 +1794,11 @@ export class Grader {
  * to reveal unprocessed ObjectIds.
  * @param obj Object to stringify
  */
-export function stringify(obj: any): string;
\ No newline at end of file
+export function stringify(obj: any, spacing?: number): string;
+
+/**
+ * Parses JSON produced by `stringify`, reviving `{ oid }` objects
+ * back into ObjectIds.
+ * @param text JSON text
+ */
+export function parse(text: string): any;
\ No newline at end of file